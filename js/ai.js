@@ -0,0 +1,199 @@
+/**
+ * AI autoplayer
+ *
+ * Lists every placement the current piece (or the hold piece) can reach by
+ * rotating at the spawn position, shifting and hard dropping, scores the
+ * resulting board with the GameBoard heuristics and plays the best one by
+ * pressing the same actions a player would. Works on a TetrisEngine, so it
+ * also runs headless for benchmarks.
+ */
+
+import { Piece } from './pieces.js';
+
+// Weights tuned for this evaluation (higher score = better placement)
+export const DEFAULT_AI_WEIGHTS = {
+    aggregateHeight: -0.510066,
+    completeLines: 0.760666,
+    holes: -0.35663,
+    bumpiness: -0.184483
+};
+
+// Rotation action that turns a piece by (target - current) % 4 steps
+const ROTATION_ACTIONS = [null, 'rotateCW', 'rotate180', 'rotateCCW'];
+
+/**
+ * Get every reachable resting placement of a piece type on the board
+ */
+export function findPlacements(board, type) {
+    const placements = [];
+    const seen = new Set();
+
+    for (let rotation = 0; rotation < 4; rotation++) {
+        const rotated = new Piece(type);
+        rotated.rotate(rotation);
+        if (!board.canPlacePiece(rotated)) continue;
+
+        for (const direction of [-1, 1]) {
+            // Walk from the spawn column towards the wall while the path is free
+            for (let dx = direction === -1 ? 0 : 1; board.canPlacePiece(rotated, dx, 0); dx += direction) {
+                const piece = rotated.copy();
+                piece.x += dx;
+                piece.y = board.getDropPosition(piece);
+
+                // Skip rotations that land on the same cells (O, and the I/S/Z pairs)
+                const key = piece.getOccupiedPositions().map(pos => `${pos.x},${pos.y}`).sort().join(' ');
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                placements.push({ type, rotation, x: piece.x, y: piece.y, piece });
+            }
+        }
+    }
+
+    return placements;
+}
+
+/**
+ * Score the board left by a placement
+ */
+export function evaluatePlacement(board, piece, weights = DEFAULT_AI_WEIGHTS) {
+    const result = board.clone();
+    result.placePiece(piece);
+    const completeLines = result.clearLines();
+
+    return weights.aggregateHeight * result.getAggregateHeight() +
+        weights.completeLines * completeLines +
+        weights.holes * result.getHoleCount() +
+        weights.bumpiness * result.getBumpiness();
+}
+
+export class AIPlayer {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.weights = { ...DEFAULT_AI_WEIGHTS, ...options.weights };
+        this.moveDelay = options.moveDelay !== undefined ? options.moveDelay : 100; // ms between inputs (0 = instant)
+        this.useHold = options.useHold !== undefined ? options.useHold : true;
+        this.enabled = false;
+
+        this.target = null;
+        this.targetPiece = null;
+        this.moveTimer = 0;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.target = null;
+        this.targetPiece = null;
+        this.moveTimer = 0;
+    }
+
+    /**
+     * Choose the best placement for the current piece, considering a swap
+     * with the hold slot (or the next piece when the slot is empty)
+     */
+    choosePlacement() {
+        const engine = this.engine;
+        const candidates = [{ type: engine.currentPiece.type, hold: false }];
+
+        if (this.useHold && engine.canHold) {
+            const holdType = engine.heldPiece ? engine.heldPiece.type : (engine.nextQueue[0] || {}).type;
+            if (holdType && holdType !== engine.currentPiece.type) {
+                candidates.push({ type: holdType, hold: true });
+            }
+        }
+
+        let best = null;
+        candidates.forEach(candidate => {
+            findPlacements(engine.board, candidate.type).forEach(placement => {
+                const score = evaluatePlacement(engine.board, placement.piece, this.weights);
+                if (!best || score > best.score) {
+                    best = { ...placement, hold: candidate.hold, score };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Get the next action that brings the current piece to the target
+     */
+    getNextAction() {
+        const piece = this.engine.currentPiece;
+        const target = this.target;
+
+        if (target.hold) {
+            return 'hold';
+        }
+
+        const rotationSteps = (target.rotation - piece.rotation + 4) % 4;
+        if (rotationSteps !== 0) {
+            return ROTATION_ACTIONS[rotationSteps];
+        }
+        if (piece.x !== target.x) {
+            return piece.x < target.x ? 'moveRight' : 'moveLeft';
+        }
+        return 'hardDrop';
+    }
+
+    /**
+     * Play one input towards the target, planning when a new piece appears
+     */
+    playNextAction() {
+        const engine = this.engine;
+
+        if (this.targetPiece !== engine.currentPiece) {
+            // After a hold the piece that came out keeps the planned placement
+            this.target = this.target && this.target.hold
+                ? { ...this.target, hold: false }
+                : this.choosePlacement();
+            this.targetPiece = engine.currentPiece;
+        }
+
+        const action = this.target ? this.getNextAction() : 'hardDrop';
+
+        // A move that does nothing (e.g. a kick changed the path) drops the piece where it is
+        if (!this.tapAction(action) && action !== 'hardDrop') {
+            this.tapAction('hardDrop');
+            return 'hardDrop';
+        }
+        return action;
+    }
+
+    /**
+     * Press and release an action; returns whether it changed the current piece
+     */
+    tapAction(action) {
+        const piece = this.engine.currentPiece;
+        const state = `${piece.rotation}:${piece.x}:${piece.y}`;
+
+        this.engine.pressAction(action);
+        this.engine.releaseAction(action);
+
+        const current = this.engine.currentPiece;
+        return current !== piece || `${current.rotation}:${current.x}:${current.y}` !== state;
+    }
+
+    /**
+     * Play along with the game; call once per update with the elapsed time
+     */
+    update(deltaTime) {
+        const engine = this.engine;
+        if (!this.enabled || !engine.isRunning || engine.isPaused || engine.replayPlayer) return;
+
+        this.moveTimer += deltaTime;
+
+        while (engine.currentPiece && !engine.isGameOver && this.moveTimer >= this.moveDelay) {
+            this.moveTimer -= this.moveDelay;
+            const action = this.playNextAction();
+
+            // Instant play places one piece per update
+            if (action === 'hardDrop' && this.moveDelay === 0) break;
+        }
+
+        if (!engine.currentPiece) {
+            // Do not bank time while waiting for the next piece
+            this.moveTimer = Math.min(this.moveTimer, this.moveDelay);
+        }
+    }
+}
\ No newline at end of file
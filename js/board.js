@@ -2,6 +2,11 @@
  * Tetris game board logic
  */
 
+export const GARBAGE_COLOR = '#808080';
+
+// Fallback hole picker when no seeded generator is given
+const MATH_RANDOM = { nextInt: max => Math.floor(Math.random() * max) };
+
 export class GameBoard {
     constructor(width = 10, height = 20) {
         this.width = width;
@@ -17,6 +22,16 @@ export class GameBoard {
         return x >= 0 && x < this.width && y >= 0 && y < this.height && !this.grid[y][x];
     }
 
+    /**
+     * Check if a cell is blocked (walls and floor count as blocked)
+     */
+    isOccupied(x, y) {
+        if (x < 0 || x >= this.width || y >= this.height) {
+            return true;
+        }
+        return y >= 0 && this.grid[y][x] !== null;
+    }
+
     /**
      * Check if a piece can be placed at the given position
      */
@@ -91,13 +106,6 @@ export class GameBoard {
         this.linesToFlash = [];
     }
 
-    /**
-     * Check if the game is over (top row has blocks)
-     */
-    isGameOver() {
-        return this.grid[0].some(cell => cell !== null);
-    }
-
     /**
      * Get the drop position for a piece (ghost piece position)
      */
@@ -111,6 +119,46 @@ export class GameBoard {
         return dropY;
     }
 
+    /**
+     * Push garbage rows up from the bottom, one hole per row.
+     * holeMode: 'fixed' (holeColumn for every row), 'random' (one random
+     * column for all rows) or 'messy' (a different random column per row).
+     * rng is a SeededRandom (or anything with nextInt) for reproducible holes.
+     * Returns true if blocks were pushed out of the top of the board.
+     */
+    addGarbageRows(count, options = {}) {
+        const holeMode = options.holeMode || 'random';
+        const rng = options.rng || MATH_RANDOM;
+        let holeColumn = holeMode === 'fixed' ? (options.holeColumn || 0) : rng.nextInt(this.width);
+        let overflowed = false;
+        
+        for (let i = 0; i < count; i++) {
+            if (holeMode === 'messy' && i > 0) {
+                // Never repeat the hole of the row below
+                const column = rng.nextInt(this.width - 1);
+                holeColumn = column >= holeColumn ? column + 1 : column;
+            }
+            
+            const removedRow = this.grid.shift();
+            if (removedRow.some(cell => cell !== null)) {
+                overflowed = true;
+            }
+            
+            const row = Array(this.width).fill(GARBAGE_COLOR);
+            row[holeColumn] = null;
+            this.grid.push(row);
+        }
+        
+        return overflowed;
+    }
+
+    /**
+     * Get the number of rows that still contain garbage
+     */
+    getGarbageRowCount() {
+        return this.grid.filter(row => row.includes(GARBAGE_COLOR)).length;
+    }
+
     /**
      * Reset the board
      */
@@ -119,6 +167,15 @@ export class GameBoard {
         this.linesToFlash = [];
     }
 
+    /**
+     * Replace the board contents with a copy of a grid (e.g. a custom
+     * starting position)
+     */
+    setGrid(grid) {
+        this.grid = grid.map(row => [...row]);
+        this.linesToFlash = [];
+    }
+
     /**
      * Get a copy of the grid
      */
@@ -126,6 +183,15 @@ export class GameBoard {
         return this.grid.map(row => [...row]);
     }
 
+    /**
+     * Create an independent copy of the board (e.g. to try out placements)
+     */
+    clone() {
+        const board = new GameBoard(this.width, this.height);
+        board.grid = this.getGrid();
+        return board;
+    }
+
     /**
      * Get the lines that should flash
      */
@@ -133,6 +199,14 @@ export class GameBoard {
         return [...this.linesToFlash];
     }
 
+    /**
+     * Check whether the board has no blocks left (a perfect clear, when
+     * checked after clearLines)
+     */
+    isEmpty() {
+        return this.grid.every(row => row.every(cell => cell === null));
+    }
+
     /**
      * Get the height of the stack at a given column
      */
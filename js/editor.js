@@ -0,0 +1,438 @@
+/**
+ * Board editor
+ *
+ * Paint cells on the playfield with the mouse (right button or painting
+ * over the same colour erases), set the next queue and the hold piece, then
+ * start a game from there. A position is plain data, { grid, queue, hold };
+ * new games start from it until it is cleared (see
+ * TetrisEngine.setStartPosition), so restarting practises the same setup.
+ *
+ * Positions are shared with a ?position= URL parameter: "cells.queue.hold",
+ * where cells lists the rows from the highest non-empty one down to the
+ * floor, one letter per cell (a piece type, G for garbage, _ for empty).
+ *
+ * Fumen diagrams can be imported too; a diagram with several pages is
+ * stepped through page by page, each page's piece shown as the current
+ * piece and the pieces of the pages left as the queue.
+ */
+
+import { GameBoard, GARBAGE_COLOR } from './board.js';
+import { PIECES, PIECE_TYPES, Piece } from './pieces.js';
+import { encodeFumen, decodeFumen } from './fumen.js';
+
+const EMPTY_CELL = '_';
+const GARBAGE_CELL = 'G';
+
+// Everything the palette can paint: the piece colours and garbage
+export const CELL_TYPES = [...PIECE_TYPES, GARBAGE_CELL];
+
+/**
+ * Get the board colour of a palette cell type
+ */
+export function getCellColor(type) {
+    return type === GARBAGE_CELL ? GARBAGE_COLOR : PIECES[type].color;
+}
+
+/**
+ * Get the palette cell type of a board colour (anything that is not a
+ * piece colour counts as garbage)
+ */
+export function getCellType(color) {
+    if (color === null) return EMPTY_CELL;
+    return PIECE_TYPES.find(type => PIECES[type].color === color) || GARBAGE_CELL;
+}
+
+function isPieceType(type) {
+    return PIECE_TYPES.includes(type);
+}
+
+/**
+ * Check a starting position (from a URL, a replay or the editor); returns it
+ * or throws
+ */
+export function checkPosition(position) {
+    const { width, height } = new GameBoard();
+
+    if (!position || !Array.isArray(position.grid) || position.grid.length !== height ||
+        !position.grid.every(row => Array.isArray(row) && row.length === width &&
+            row.every(cell => cell === null || typeof cell === 'string'))) {
+        throw new Error('Position has an invalid board');
+    }
+    if (!Array.isArray(position.queue) || !position.queue.every(isPieceType) ||
+        (position.hold !== null && !isPieceType(position.hold))) {
+        throw new Error('Position has invalid pieces');
+    }
+
+    return position;
+}
+
+/**
+ * Encode a position for a URL parameter
+ */
+export function encodePosition(position) {
+    const rows = position.grid.map(row => row.map(getCellType).join(''));
+    const top = rows.findIndex(row => row.split('').some(cell => cell !== EMPTY_CELL));
+    const cells = top === -1 ? '' : rows.slice(top).join('');
+
+    return [cells, position.queue.join(''), position.hold || ''].join('.');
+}
+
+/**
+ * Decode a position from a URL parameter (throws if it is invalid)
+ */
+export function decodePosition(text) {
+    const { width, height } = new GameBoard();
+    const [cells = '', queue = '', hold = ''] = String(text).split('.');
+
+    if (cells.length % width !== 0 || cells.length > width * height ||
+        !cells.split('').every(cell => cell === EMPTY_CELL || CELL_TYPES.includes(cell))) {
+        throw new Error('Position has an invalid board');
+    }
+
+    const grid = Array(height - cells.length / width).fill().map(() => Array(width).fill(null));
+    for (let start = 0; start < cells.length; start += width) {
+        grid.push(cells.slice(start, start + width).split('')
+            .map(cell => (cell === EMPTY_CELL ? null : getCellColor(cell))));
+    }
+
+    return checkPosition({ grid, queue: queue.split('').filter(Boolean), hold: hold || null });
+}
+
+/**
+ * Copy text to the clipboard; resolves to false when the clipboard is not
+ * available
+ */
+export async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Editor panel for a TetrisGame. Opening it pauses the game and copies its
+ * board, queue and hold; the game starting or resuming closes it.
+ */
+export class BoardEditor {
+    /**
+     * elements: toggleButton, palette (buttons with data-cell), queueInput,
+     * holdSelect, playButton, clearButton, linkButton, normalStartButton,
+     * fumenInput, fumenImportButton, fumenExportButton, prevPageButton,
+     * nextPageButton, pageLabel, status (all but toggleButton optional)
+     */
+    constructor(game, elements) {
+        this.game = game;
+        this.elements = elements;
+        this.canvas = game.elements.gameCanvas;
+        this.isOpen = false;
+        this.board = new GameBoard();
+        this.queue = [];
+        this.hold = null;
+        this.piece = null;
+        this.pages = null; // imported fumen pages
+        this.pageIndex = 0;
+        this.selectedCell = GARBAGE_CELL;
+        this.paint = null; // { pointerId, color } while dragging (color null erases)
+
+        this.onPointerDown = this.handlePointerDown.bind(this);
+        this.onPointerMove = this.handlePointerMove.bind(this);
+        this.onPointerUp = this.handlePointerUp.bind(this);
+        this.onContextMenu = event => {
+            if (this.isOpen) event.preventDefault();
+        };
+        this.canvas.addEventListener('pointerdown', this.onPointerDown);
+        this.canvas.addEventListener('pointermove', this.onPointerMove);
+        this.canvas.addEventListener('pointerup', this.onPointerUp);
+        this.canvas.addEventListener('pointercancel', this.onPointerUp);
+        this.canvas.addEventListener('contextmenu', this.onContextMenu);
+
+        ['start', 'resume', 'restore'].forEach(event => game.engine.on(event, () => this.close()));
+        game.engine.on('reset', () => this.update());
+
+        this.setupUI();
+        this.update();
+    }
+
+    setupUI() {
+        const elements = this.elements;
+
+        if (elements.palette) {
+            elements.palette.querySelectorAll('[data-cell]').forEach(button => {
+                button.style.backgroundColor = getCellColor(button.dataset.cell);
+                button.addEventListener('click', () => this.selectCell(button.dataset.cell));
+            });
+        }
+        if (elements.queueInput) {
+            elements.queueInput.addEventListener('input', () => this.setQueue(elements.queueInput.value));
+            elements.queueInput.addEventListener('change', () => this.update());
+        }
+        if (elements.holdSelect) {
+            elements.holdSelect.addEventListener('change', () => this.setHold(elements.holdSelect.value || null));
+        }
+
+        const buttons = {
+            toggleButton: () => this.toggle(),
+            playButton: () => this.play(),
+            clearButton: () => this.clearBoard(),
+            linkButton: () => this.copyLink(),
+            normalStartButton: () => this.game.setStartPosition(null),
+            fumenImportButton: () => this.importFumen(elements.fumenInput ? elements.fumenInput.value : ''),
+            fumenExportButton: () => this.exportFumen(),
+            prevPageButton: () => this.showPage(this.pageIndex - 1),
+            nextPageButton: () => this.showPage(this.pageIndex + 1)
+        };
+        Object.entries(buttons).forEach(([name, handler]) => {
+            if (elements[name]) {
+                elements[name].addEventListener('click', handler);
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Start editing from the game's current board, queue and hold
+     */
+    open() {
+        const engine = this.game.engine;
+        if (engine.isRunning && !engine.isPaused) {
+            this.game.togglePause();
+        }
+
+        this.board.setGrid(engine.board.getGrid());
+        this.queue = [engine.currentPiece, ...engine.getPreview()].filter(Boolean).map(piece => piece.type);
+        this.hold = engine.heldPiece ? engine.heldPiece.type : null;
+        this.piece = null;
+        this.pages = null;
+        this.isOpen = true;
+
+        this.selectCell(this.selectedCell);
+        this.showStatus('');
+        this.update();
+        this.game.render();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.paint = null;
+        this.update();
+        this.game.render();
+    }
+
+    selectCell(type) {
+        this.selectedCell = type;
+        if (this.elements.palette) {
+            this.elements.palette.querySelectorAll('[data-cell]').forEach(button => {
+                button.classList.toggle('selected', button.dataset.cell === type);
+            });
+        }
+    }
+
+    /**
+     * Set the queue from typed piece letters (anything else is ignored)
+     */
+    setQueue(text) {
+        this.queue = text.toUpperCase().split('').filter(isPieceType);
+        this.game.render();
+    }
+
+    setHold(type) {
+        this.hold = type;
+        this.game.render();
+    }
+
+    clearBoard() {
+        this.board.reset();
+        this.piece = null;
+        this.game.render();
+    }
+
+    getPosition() {
+        return { grid: this.board.getGrid(), queue: [...this.queue], hold: this.hold };
+    }
+
+    /**
+     * Start a new game from the edited position
+     */
+    play() {
+        this.game.setStartPosition(this.getPosition());
+        this.game.start();
+    }
+
+    /**
+     * Copy a link to the page with the edited position (shown in the status
+     * line when the clipboard is not available)
+     */
+    async copyLink() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('position', encodePosition(this.getPosition()));
+
+        this.showStatus(await copyText(url.toString()) ? 'Link copied' : url.toString());
+    }
+
+    /**
+     * Load a fumen diagram into the editor, starting at its first page
+     */
+    importFumen(text) {
+        let pages;
+        try {
+            pages = decodeFumen(text.trim(), this.board.height);
+        } catch (error) {
+            this.showStatus(`Invalid fumen: ${error.message}`);
+            return;
+        }
+        if (pages.length === 0) {
+            this.showStatus('Invalid fumen: no pages');
+            return;
+        }
+
+        if (!this.isOpen) {
+            this.open();
+        }
+        this.pages = pages;
+        this.showPage(0);
+    }
+
+    /**
+     * Show a page of the imported fumen: its board and piece, with the
+     * pieces of this and the following pages as the queue
+     */
+    showPage(index) {
+        if (!this.pages || index < 0 || index >= this.pages.length) return;
+
+        const page = this.pages[index];
+        this.pageIndex = index;
+        this.board.setGrid(page.grid);
+        this.piece = page.piece ? page.piece.copy() : null;
+        this.queue = this.pages.slice(index).filter(other => other.piece).map(other => other.piece.type);
+
+        this.showStatus(page.comment);
+        this.update();
+        this.game.render();
+    }
+
+    /**
+     * Copy the edited board (or the game's board and piece when the editor is
+     * closed) as a fumen diagram (shown in the status line when the
+     * clipboard is not available)
+     */
+    async exportFumen() {
+        const engine = this.game.engine;
+        const page = this.isOpen ?
+            { grid: this.board.getGrid(), piece: this.piece, comment: '' } :
+            { grid: engine.board.getGrid(), piece: engine.currentPiece, comment: '' };
+        const fumen = encodeFumen([page]);
+
+        this.showStatus(await copyText(fumen) ? 'Fumen copied' : fumen);
+    }
+
+    /**
+     * Get the cell under a pointer event, or null outside the board
+     */
+    getCell(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.floor((event.clientX - rect.left) / rect.width * this.board.width);
+        const y = Math.floor((event.clientY - rect.top) / rect.height * this.board.height);
+
+        return x >= 0 && x < this.board.width && y >= 0 && y < this.board.height ? { x, y } : null;
+    }
+
+    handlePointerDown(event) {
+        // Touch stays with the touch gestures
+        if (!this.isOpen || event.pointerType === 'touch') return;
+
+        const cell = this.getCell(event);
+        if (!cell) return;
+
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+
+        // Right button erases; painting over the same colour erases the stroke
+        const color = getCellColor(this.selectedCell);
+        const erase = event.button === 2 || this.board.grid[cell.y][cell.x] === color;
+        this.paint = { pointerId: event.pointerId, color: erase ? null : color };
+        this.paintCell(cell);
+    }
+
+    handlePointerMove(event) {
+        if (!this.paint || event.pointerId !== this.paint.pointerId) return;
+
+        const cell = this.getCell(event);
+        if (cell) {
+            this.paintCell(cell);
+        }
+    }
+
+    handlePointerUp(event) {
+        if (this.paint && event.pointerId === this.paint.pointerId) {
+            this.paint = null;
+        }
+    }
+
+    paintCell({ x, y }) {
+        if (this.board.grid[y][x] === this.paint.color) return;
+
+        this.board.grid[y][x] = this.paint.color;
+        this.game.render();
+    }
+
+    /**
+     * Board, queue and hold to draw instead of the game while editing
+     */
+    getRenderState() {
+        return {
+            board: this.board,
+            currentPiece: this.piece,
+            nextQueue: this.queue.slice(0, this.game.engine.previewCount).map(type => new Piece(type)),
+            heldPiece: this.hold ? new Piece(this.hold) : null,
+            canHold: true,
+            target: null,
+            actionText: ''
+        };
+    }
+
+    /**
+     * Sync the panel with the editor and the game
+     */
+    update() {
+        const { toggleButton, queueInput, holdSelect, playButton, clearButton, linkButton } = this.elements;
+        const { normalStartButton, prevPageButton, nextPageButton, pageLabel } = this.elements;
+
+        if (toggleButton) toggleButton.textContent = this.isOpen ? 'Close editor' : 'Edit board';
+        if (queueInput && document.activeElement !== queueInput) queueInput.value = this.queue.join('');
+        if (holdSelect) holdSelect.value = this.hold || '';
+        [queueInput, holdSelect, playButton, clearButton, linkButton].forEach(element => {
+            if (element) element.disabled = !this.isOpen;
+        });
+        if (normalStartButton) normalStartButton.disabled = this.game.engine.startPosition === null;
+
+        const pages = this.isOpen && this.pages ? this.pages.length : 0;
+        if (prevPageButton) prevPageButton.disabled = pages === 0 || this.pageIndex === 0;
+        if (nextPageButton) nextPageButton.disabled = pages === 0 || this.pageIndex === pages - 1;
+        if (pageLabel) pageLabel.textContent = pages > 1 ? `Page ${this.pageIndex + 1} / ${pages}` : '';
+    }
+
+    showStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+        this.canvas.removeEventListener('pointermove', this.onPointerMove);
+        this.canvas.removeEventListener('pointerup', this.onPointerUp);
+        this.canvas.removeEventListener('pointercancel', this.onPointerUp);
+        this.canvas.removeEventListener('contextmenu', this.onContextMenu);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,1208 @@
+/**
+ * Headless Tetris engine
+ *
+ * Holds the rules only: board, pieces, scoring and timing. Time advances
+ * through explicit tick(dt) calls and input arrives as action presses and
+ * releases, so the engine runs the same in the browser, a Web Worker or
+ * Node. Presentation code listens to its events instead of being called
+ * from it.
+ */
+
+import { GameBoard } from './board.js';
+import { Piece, SeededRandom, createRandomizer, getRotatedPiece } from './pieces.js';
+import { createMode } from './modes.js';
+import { createScoring, isDifficultClear, DEFAULT_SCORING } from './scoring.js';
+import { DEFAULT_SETTINGS, SDF_INSTANT, LOCK_RESET_POLICIES } from './settings.js';
+import {
+    ReplayRecorder, ReplayPlayer,
+    ACTION_RELEASE, ACTION_PRESS, ACTION_HOLD_ONLY
+} from './replay.js';
+
+// Game rules run in fixed 60 Hz frames
+export const FRAME_DURATION = 1000 / 60;
+const MAX_FRAME_CATCHUP = 250; // ms; avoids a burst of frames after a stall
+
+/**
+ * Save a piece as plain data (null stays null)
+ */
+function getPieceState(piece) {
+    return piece ? { type: piece.type, x: piece.x, y: piece.y, rotation: piece.rotation } : null;
+}
+
+function createPieceFromState(state) {
+    if (!state) return null;
+
+    const piece = new Piece(state.type, state.x, state.y);
+    piece.rotate(state.rotation);
+    return piece;
+}
+
+// Lock delay restarts per row under the 'move' policy (see LOCK_RESET_POLICIES)
+const MAX_LOCK_RESETS = 15;
+
+export const DEFAULT_HANDLING = {
+    das: DEFAULT_SETTINGS.das,
+    arr: DEFAULT_SETTINGS.arr,
+    sdf: DEFAULT_SETTINGS.sdf
+};
+
+/**
+ * Events (listen with on(event, listener)):
+ *   start, pause, resume, reset           - game status changed
+ *   restore                                - a saved game was loaded (paused)
+ *   gameOver (result)                      - the game ended (result.reason: 'topOut' or a mode's reason)
+ *   score                                  - score, lines or level changed
+ *   spawn (piece), hold (piece)            - a new current piece
+ *   action (action)                        - a game action was pressed while playing
+ *   lock ({ piece, linesCleared, tSpin })  - a piece locked
+ *   garbage (count)                        - garbage rows were pushed up
+ *   clear ({ linesCleared, tSpin, combo, backToBack, perfectClear, points, label })
+ *                                          - lines or a T-spin scored
+ */
+export class TetrisEngine {
+    constructor(options = {}) {
+        this.options = {
+            randomizer: '7bag', // '7bag', '14bag', 'random' or 'history'
+            mode: 'marathon',   // game mode (see MODES)
+            goal: null,         // mode goal, e.g. Sprint line count (null = mode default)
+            seed: null,         // fixed seed for reproducible runs (null = random per game)
+            entryDelay: 0,      // ms between a piece locking and the next one spawning
+            previewCount: 5,    // next pieces kept generated ahead (1-6)
+            handling: DEFAULT_HANDLING, // DAS/ARR/SDF used from the next new game
+            lockReset: 'move',  // lock delay reset policy (see LOCK_RESET_POLICIES)
+            scoring: DEFAULT_SCORING, // scoring rules (see SCORING_RULES)
+            startPosition: null, // { grid, queue, hold } new games start from (null = empty board)
+            ...options
+        };
+        
+        this.listeners = {};
+        this.board = new GameBoard();
+        
+        // Game state
+        this.currentPiece = null;
+        this.nextQueue = [];
+        this.previewCount = this.clampPreviewCount(this.options.previewCount);
+        this.heldPiece = null;
+        this.canHold = true; // Hold is allowed once per piece until it locks
+        this.isRunning = false;
+        this.isPaused = false;
+        this.isGameOver = false;
+        this.endReason = null;
+        
+        // Scoring and levels
+        this.score = 0;
+        this.lines = 0;
+        this.level = 1;
+        this.combo = 0;
+        this.backToBack = false; // the last line clear was a tetris or T-spin
+        this.softDropCells = 0;  // cells the current piece was dropped
+        this.hardDropCells = 0;
+        this.scoring = createScoring(this.options.scoring);
+        
+        // T-spin tracking: last successful action on the current piece
+        this.lastAction = null; // { type: 'move' | 'rotate' | 'drop', direction, kickIndex }
+        
+        // Handling and entry delay are fixed for the length of a game
+        this.handling = { ...this.options.handling };
+        this.entryDelay = this.options.entryDelay;
+        
+        // Replay recording and playback
+        this.recorder = new ReplayRecorder();
+        this.replayPlayer = null;
+        
+        // Held actions and auto-shift (DAS/ARR)
+        this.heldActions = new Set();
+        this.shiftDirection = 0; // -1 left, 1 right, 0 none
+        this.dasTimer = 0;
+        this.arrTimer = 0;
+        this.autoShiftStarted = false;
+        
+        // Timing
+        this.frame = 0;
+        this.frameAccumulator = 0;
+        this.entryTimer = 0;
+        this.dropTimer = 0;
+        this.dropInterval = this.getLevelDropInterval();
+        this.lockTimer = 0;
+        this.lockDelay = 500; // ms a piece may rest on the stack before it locks
+        this.isLocking = false; // the piece rests on the stack and the lock delay runs
+        this.lockReset = this.options.lockReset;
+        this.lockResets = 0;  // move resets used since the piece's lowest row
+        this.lowestRow = 0;
+        this.lineFlashTimer = 0;
+        this.lineFlashDuration = 300; // ms; line clear delay
+        
+        // Initialize first pieces
+        this.setupRandomizer();
+        this.setupStartPosition(); // before the mode, which may build on it (dig garbage)
+        this.setupMode();
+        this.fillNextQueue();
+        this.spawnNewPiece();
+    }
+
+    /**
+     * Register a listener for an engine event; returns a function removing it
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        if (!this.listeners[event]) return;
+        
+        this.listeners[event] = this.listeners[event].filter(other => other !== listener);
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Start the game (a finished game is reset instead)
+     */
+    start() {
+        if (this.isGameOver) {
+            this.reset();
+            return;
+        }
+        
+        if (!this.isRunning) {
+            if (this.frame === 0) {
+                this.beginGame();
+            }
+            
+            this.isRunning = true;
+            this.isPaused = false;
+            this.emit('start');
+        }
+    }
+
+    /**
+     * Pause/resume the game
+     */
+    togglePause() {
+        if (!this.isRunning) return;
+        
+        this.isPaused = !this.isPaused;
+        this.emit(this.isPaused ? 'pause' : 'resume');
+    }
+
+    /**
+     * Fix handling for the new game and start recording it, or set up the
+     * replay being played
+     */
+    beginGame() {
+        if (this.replayPlayer) {
+            const replay = this.replayPlayer.replay;
+            this.handling = { ...replay.handling };
+            this.entryDelay = replay.entryDelay;
+            this.lockReset = replay.lockReset;
+            this.scoring = createScoring(replay.scoring || DEFAULT_SCORING);
+            this.replayPlayer.reset();
+            replay.held.forEach(action => this.heldActions.add(action));
+            this.shiftDirection = replay.shiftDirection;
+            return;
+        }
+        
+        this.handling = { ...this.options.handling };
+        this.entryDelay = this.options.entryDelay;
+        this.lockReset = this.options.lockReset;
+        this.scoring = createScoring(this.options.scoring);
+        this.recorder.start({
+            seed: this.seed,
+            randomizer: this.randomizer.type,
+            mode: this.mode.type,
+            goal: this.mode.goal,
+            entryDelay: this.entryDelay,
+            handling: { ...this.handling },
+            lockReset: this.lockReset,
+            scoring: this.scoring.type,
+            startPosition: this.startPosition,
+            held: [...this.heldActions],
+            shiftDirection: this.shiftDirection
+        });
+    }
+
+    /**
+     * Set the DAS, ARR and SDF used from the next new game
+     */
+    setHandling(handling) {
+        this.options.handling = { ...handling };
+    }
+
+    /**
+     * Set the lock delay reset policy used from the next new game
+     */
+    setLockReset(policy) {
+        if (!LOCK_RESET_POLICIES.includes(policy)) {
+            throw new Error(`Unknown lock delay policy: ${policy}`);
+        }
+        this.options.lockReset = policy;
+    }
+
+    /**
+     * Set the scoring rules used from the next new game
+     */
+    setScoring(type) {
+        createScoring(type); // throws for unknown rules
+        this.options.scoring = type;
+    }
+
+    /**
+     * Reset to a fresh game that has not started yet
+     */
+    reset() {
+        // A game abandoned by resetting still keeps its recording
+        this.recorder.finish(this.frame, this.getResult());
+        
+        this.isRunning = false;
+        this.isPaused = false;
+        this.isGameOver = false;
+        this.endReason = null;
+        
+        // Reset game state
+        this.board.reset();
+        this.currentPiece = null;
+        this.score = 0;
+        this.lines = 0;
+        this.level = 1;
+        this.combo = 0;
+        this.backToBack = false;
+        this.scoring.reset();
+        this.lastAction = null;
+        this.heldPiece = null;
+        this.canHold = true;
+        this.heldActions.clear();
+        this.setShiftDirection(0);
+        this.frame = 0;
+        this.frameAccumulator = 0;
+        this.entryTimer = 0;
+        this.dropTimer = 0;
+        this.lockTimer = 0;
+        this.isLocking = false;
+        this.lineFlashTimer = 0;
+        this.board.clearFlashingLines();
+        
+        // Reset drop interval
+        this.dropInterval = this.getLevelDropInterval();
+        
+        // Generate new pieces
+        this.setupRandomizer();
+        this.nextQueue = [];
+        this.setupStartPosition();
+        this.setupMode();
+        this.fillNextQueue();
+        this.spawnNewPiece();
+        
+        this.emit('reset');
+    }
+
+    /**
+     * Advance the running game by deltaTime ms
+     */
+    tick(deltaTime) {
+        if (!this.isRunning || this.isPaused || this.isGameOver) return;
+        
+        // Run whole fixed frames so timing does not depend on the caller's rate
+        this.frameAccumulator = Math.min(this.frameAccumulator + deltaTime, MAX_FRAME_CATCHUP);
+        while (this.frameAccumulator >= FRAME_DURATION && !this.isGameOver) {
+            if (this.replayPlayer && this.frame >= this.replayPlayer.totalFrames) {
+                // End of a replay that did not end in a game over: apply its last events and stop
+                this.replayPlayer.applyEvents(this);
+                if (!this.isGameOver) {
+                    this.togglePause();
+                }
+                break;
+            }
+            
+            this.frameAccumulator -= FRAME_DURATION;
+            this.advanceFrame();
+        }
+    }
+
+    /**
+     * Run one fixed frame, feeding in the replay's events first when playing one
+     */
+    advanceFrame() {
+        if (this.replayPlayer) {
+            this.replayPlayer.applyEvents(this);
+            if (this.isGameOver) return;
+        }
+        
+        this.step(FRAME_DURATION);
+    }
+
+    /**
+     * Advance the game by one fixed frame
+     */
+    step(deltaTime) {
+        this.frame++;
+        
+        this.mode.update(this);
+        if (this.isGameOver) return;
+        
+        // Handle line flashing
+        if (this.lineFlashTimer > 0) {
+            this.lineFlashTimer -= deltaTime;
+            if (this.lineFlashTimer <= 0) {
+                this.board.clearFlashingLines();
+            }
+        }
+        
+        // Wait for the next piece (line clear delay + entry delay)
+        if (!this.currentPiece) {
+            this.entryTimer -= deltaTime;
+            if (this.entryTimer <= 0) {
+                this.spawnNewPiece();
+            }
+        }
+        
+        // DAS keeps charging while there is no piece to move
+        this.updateAutoShift(deltaTime);
+        
+        if (!this.currentPiece || this.isGameOver) return;
+        
+        // The lock delay runs while the piece rests on the stack
+        this.isLocking = !this.board.canPlacePiece(this.currentPiece, 0, 1);
+        if (this.isLocking) {
+            this.lockTimer -= deltaTime;
+            if (this.lockTimer <= 0) {
+                this.lockPiece();
+                return;
+            }
+        }
+        
+        // Handle automatic piece dropping
+        this.updateGravity(deltaTime);
+    }
+
+    /**
+     * Auto-shift the held direction: wait DAS, then move every ARR
+     */
+    updateAutoShift(deltaTime) {
+        if (this.shiftDirection === 0) return;
+        
+        this.dasTimer += deltaTime;
+        if (this.dasTimer < this.handling.das || !this.currentPiece) return;
+        
+        const arr = this.handling.arr;
+        if (arr === 0) {
+            // Instantly to the wall
+            while (this.moveCurrentPiece(this.shiftDirection, 0)) { /* keep shifting */ }
+            return;
+        }
+        
+        // The first repeat happens as soon as DAS is charged (or the piece spawns)
+        if (!this.autoShiftStarted) {
+            this.autoShiftStarted = true;
+            this.arrTimer = 0;
+            this.moveCurrentPiece(this.shiftDirection, 0);
+            return;
+        }
+        
+        this.arrTimer += deltaTime;
+        while (this.arrTimer >= arr) {
+            this.arrTimer -= arr;
+            if (!this.moveCurrentPiece(this.shiftDirection, 0)) {
+                this.arrTimer = 0;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Apply gravity, using the soft drop factor while soft drop is held
+     */
+    updateGravity(deltaTime) {
+        const isSoftDropping = this.heldActions.has('softDrop');
+        const sdf = this.handling.sdf;
+        
+        if (isSoftDropping && sdf >= SDF_INSTANT) {
+            while (this.softDrop()) { /* drop to the stack */ }
+            return;
+        }
+        
+        const interval = isSoftDropping ? this.dropInterval / sdf : this.dropInterval;
+        this.dropTimer += deltaTime;
+        while (this.dropTimer >= interval && this.currentPiece) {
+            this.dropTimer -= interval;
+            const moved = isSoftDropping ? this.softDrop() : this.moveCurrentPiece(0, 1);
+            if (!moved) {
+                this.dropTimer = 0;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Handle a game action being pressed
+     */
+    pressAction(action) {
+        if (this.replayPlayer) return; // replays drive the game on their own
+        
+        const canPlay = this.isRunning && !this.isPaused && !this.isGameOver;
+        const type = canPlay ? ACTION_PRESS : ACTION_HOLD_ONLY;
+        
+        this.recorder.record(this.frame, action, type);
+        this.applyActionEvent(action, type);
+    }
+
+    /**
+     * Handle a game action being released
+     */
+    releaseAction(action) {
+        if (this.replayPlayer) return;
+        
+        this.recorder.record(this.frame, action, ACTION_RELEASE);
+        this.applyActionEvent(action, ACTION_RELEASE);
+    }
+
+    /**
+     * Apply a press/release, live or from a replay
+     */
+    applyActionEvent(action, type) {
+        if (type === ACTION_RELEASE) {
+            this.releaseHeldAction(action);
+            return;
+        }
+        
+        this.heldActions.add(action);
+        
+        if (action === 'moveLeft' || action === 'moveRight') {
+            // The last pressed direction takes priority while both are held
+            this.setShiftDirection(action === 'moveLeft' ? -1 : 1);
+        }
+        
+        if (type === ACTION_PRESS) {
+            this.mode.onAction(this, action);
+            this.emit('action', action);
+            this.performAction(action);
+        }
+    }
+
+    /**
+     * Perform the immediate effect of a pressed action
+     */
+    performAction(action) {
+        switch (action) {
+            case 'moveLeft':
+                this.movePiece(-1, 0);
+                break;
+            case 'moveRight':
+                this.movePiece(1, 0);
+                break;
+            case 'softDrop':
+                this.softDrop();
+                break;
+            case 'hardDrop':
+                this.hardDrop();
+                break;
+            case 'rotateCW':
+                this.rotatePiece(1);
+                break;
+            case 'rotateCCW':
+                this.rotatePiece(-1);
+                break;
+            case 'rotate180':
+                this.rotatePiece(2);
+                break;
+            case 'hold':
+                this.holdPiece();
+                break;
+        }
+    }
+
+    /**
+     * Stop holding an action, handing auto-shift to the opposite direction
+     */
+    releaseHeldAction(action) {
+        this.heldActions.delete(action);
+        
+        if (action === 'moveLeft' || action === 'moveRight') {
+            const direction = action === 'moveLeft' ? -1 : 1;
+            if (this.shiftDirection === direction) {
+                // Fall back to the opposite direction if it is still held
+                const opposite = direction === -1 ? 'moveRight' : 'moveLeft';
+                this.setShiftDirection(this.heldActions.has(opposite) ? -direction : 0);
+            }
+        }
+    }
+
+    /**
+     * Change the auto-shift direction and restart DAS
+     */
+    setShiftDirection(direction) {
+        this.shiftDirection = direction;
+        this.dasTimer = 0;
+        this.arrTimer = 0;
+        this.autoShiftStarted = false;
+    }
+
+    /**
+     * Move the current piece
+     */
+    movePiece(dx, dy) {
+        this.moveCurrentPiece(dx, dy);
+    }
+
+    /**
+     * Move current piece with collision detection
+     */
+    moveCurrentPiece(dx, dy) {
+        if (!this.currentPiece || this.isGameOver) return false;
+        
+        if (this.board.canPlacePiece(this.currentPiece, dx, dy)) {
+            this.currentPiece.x += dx;
+            this.currentPiece.y += dy;
+            this.lastAction = { type: 'move' };
+            this.updateLockDelay(dx !== 0);
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Rotate the current piece (1 = clockwise, -1 = counter-clockwise, 2 = 180 degrees)
+     */
+    rotatePiece(direction = 1) {
+        if (!this.currentPiece || this.isGameOver) return;
+        
+        const rotation = getRotatedPiece(this.board, this.currentPiece, direction);
+        if (!rotation) return;
+        
+        // Keep the same piece object (listeners compare it to spot a new piece)
+        this.currentPiece.rotate(direction);
+        this.currentPiece.x = rotation.piece.x;
+        this.currentPiece.y = rotation.piece.y;
+        this.lastAction = { type: 'rotate', direction, kickIndex: rotation.kickIndex };
+        this.updateLockDelay(true);
+    }
+
+    /**
+     * Detect a T-spin for the current piece before it locks
+     * Returns 'full', 'mini' or null
+     */
+    detectTSpin() {
+        const piece = this.currentPiece;
+        if (!piece || piece.type !== 'T' || !this.lastAction || this.lastAction.type !== 'rotate') {
+            return null;
+        }
+        
+        // The T rotates around the middle of its 3x3 box
+        const center = { x: piece.x + 1, y: piece.y + 1 };
+        
+        // Diagonal corners around the center: top-left, top-right, bottom-right, bottom-left
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([dx, dy]) =>
+            this.board.isOccupied(center.x + dx, center.y + dy)
+        );
+        
+        // 3-corner rule
+        if (corners.filter(Boolean).length < 3) {
+            return null;
+        }
+        
+        // The two corners on the side the T is pointing to
+        const rotation = piece.rotation;
+        const frontCorners = [corners[rotation], corners[(rotation + 1) % 4]];
+        if (frontCorners.every(Boolean)) {
+            return 'full';
+        }
+        
+        // TST kick exception: the last 90 degree kick test upgrades a mini to a full T-spin
+        const isTSTKick = this.lastAction.direction !== 2 && this.lastAction.kickIndex === 4;
+        return isTSTKick ? 'full' : 'mini';
+    }
+
+    /**
+     * Soft drop (increase fall speed)
+     */
+    softDrop() {
+        if (this.moveCurrentPiece(0, 1)) {
+            this.score += this.scoring.softDropPoints;
+            this.softDropCells++;
+            this.emit('score');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Hard drop (instant drop)
+     */
+    hardDrop() {
+        if (!this.currentPiece || this.isGameOver) return;
+        
+        const dropDistance = this.board.getDropPosition(this.currentPiece) - this.currentPiece.y;
+        this.currentPiece.y = this.board.getDropPosition(this.currentPiece);
+        if (dropDistance > 0) {
+            this.lastAction = { type: 'drop' };
+        }
+        
+        this.score += dropDistance * this.scoring.hardDropPoints;
+        this.hardDropCells += dropDistance;
+        
+        this.lockPiece();
+    }
+
+    /**
+     * Swap the current piece with the hold slot
+     */
+    holdPiece() {
+        if (!this.currentPiece || this.isGameOver || !this.canHold) return;
+        
+        const heldType = this.heldPiece ? this.heldPiece.type : null;
+        
+        // Store the current piece in its spawn state
+        this.heldPiece = new Piece(this.currentPiece.type);
+        
+        this.canHold = false;
+        this.dropTimer = 0;
+        
+        if (heldType) {
+            this.currentPiece = new Piece(heldType);
+            this.lastAction = null;
+            this.softDropCells = 0;
+            this.hardDropCells = 0;
+            this.startLockDelay();
+            this.mode.onPieceSpawned(this, this.currentPiece);
+            this.emit('hold', this.currentPiece);
+            
+            // Block out: the piece from hold overlaps the stack
+            if (!this.board.canPlacePiece(this.currentPiece)) {
+                this.gameOver();
+            }
+        } else {
+            this.spawnNewPiece();
+            this.emit('hold', this.currentPiece);
+        }
+    }
+
+    /**
+     * Give a new current piece the full lock delay
+     */
+    startLockDelay() {
+        this.lockTimer = this.lockDelay;
+        this.isLocking = false;
+        this.lockResets = 0;
+        this.lowestRow = this.currentPiece.y;
+    }
+
+    /**
+     * Apply the lock reset policy after the current piece moved or rotated
+     * (manipulated: moved by the player rather than by gravity)
+     */
+    updateLockDelay(manipulated) {
+        if (this.currentPiece.y > this.lowestRow) {
+            this.lowestRow = this.currentPiece.y;
+            if (this.lockReset !== 'classic') {
+                this.lockTimer = this.lockDelay;
+                this.lockResets = 0;
+            }
+            return;
+        }
+        
+        // Only a lock delay that has started running is reset (and counted)
+        if (manipulated && this.lockReset === 'move' && this.lockTimer < this.lockDelay &&
+            this.lockResets < MAX_LOCK_RESETS) {
+            this.lockTimer = this.lockDelay;
+            this.lockResets++;
+        }
+    }
+
+    /**
+     * Lock the current piece and spawn a new one
+     */
+    lockPiece() {
+        if (!this.currentPiece) return;
+        
+        const piece = this.currentPiece;
+        
+        // T-spins are checked against the board before the piece is placed
+        const tSpin = this.detectTSpin();
+        
+        // Place piece on board
+        this.board.placePiece(piece);
+        this.currentPiece = null;
+        this.isLocking = false;
+        
+        // Lock out: blocks above the top of the board would be lost (there
+        // are no hidden rows to keep them)
+        if (piece.getOccupiedPositions().some(pos => pos.y < 0)) {
+            this.gameOver();
+            return;
+        }
+        
+        // Check for completed lines
+        const linesCleared = this.board.clearLines();
+        
+        if (linesCleared > 0 || tSpin) {
+            this.handleLinesCleared(linesCleared, tSpin);
+        }
+        
+        if (linesCleared > 0) {
+            this.lineFlashTimer = this.lineFlashDuration;
+        } else {
+            this.combo = 0; // Reset combo if no lines cleared
+        }
+        this.scoring.onPieceLocked(linesCleared);
+        
+        this.canHold = true;
+        
+        this.mode.onPieceLocked(this, { piece, linesCleared, tSpin });
+        this.emit('lock', { piece, linesCleared, tSpin });
+        this.emit('score');
+        
+        // The next piece enters after the line clear delay and entry delay
+        if (this.isGameOver) return; // the mode ended the game
+        
+        this.entryTimer = (linesCleared > 0 ? this.lineFlashDuration : 0) + this.entryDelay;
+        if (this.entryTimer <= 0) {
+            this.spawnNewPiece();
+        }
+    }
+
+    /**
+     * Handle lines cleared (tSpin is 'full', 'mini' or null)
+     */
+    handleLinesCleared(linesCleared, tSpin = null) {
+        this.lines += linesCleared;
+        if (linesCleared > 0) {
+            this.combo += 1;
+        }
+        
+        // Back-to-back: a tetris or T-spin clear after another one, with no
+        // other line clear in between (T-spins without lines keep the chain)
+        const difficult = isDifficultClear(linesCleared, tSpin);
+        const backToBack = difficult && this.backToBack;
+        if (linesCleared > 0) {
+            this.backToBack = difficult;
+        }
+        const perfectClear = linesCleared > 0 && this.board.isEmpty();
+        
+        // Points at the level the clear was made on
+        const points = this.scoring.getClearPoints({
+            linesCleared,
+            tSpin,
+            level: this.level,
+            combo: this.combo,
+            backToBack,
+            perfectClear,
+            softDropCells: this.softDropCells,
+            hardDropCells: this.hardDropCells
+        });
+        
+        this.score += points;
+        this.emit('clear', {
+            linesCleared,
+            tSpin,
+            combo: this.combo,
+            backToBack,
+            perfectClear,
+            points,
+            label: this.getClearLabel(linesCleared, tSpin, backToBack, perfectClear)
+        });
+        
+        // Level up every 10 lines (unless the mode keeps gravity fixed)
+        const newLevel = Math.floor(this.lines / 10) + 1;
+        if (this.mode.levelProgression && newLevel > this.level) {
+            this.level = newLevel;
+            this.dropInterval = this.getLevelDropInterval();
+        }
+        
+        if (linesCleared > 0) {
+            this.mode.onLinesCleared(this, linesCleared);
+        }
+    }
+
+    /**
+     * Create the piece randomizer for a new game (from the replay when playing one)
+     */
+    setupRandomizer() {
+        if (this.replayPlayer) {
+            const replay = this.replayPlayer.replay;
+            this.seed = replay.seed;
+            this.randomizer = createRandomizer(replay.randomizer, replay.seed);
+        } else {
+            this.seed = this.options.seed !== null ? this.options.seed : SeededRandom.generateSeed();
+            this.randomizer = createRandomizer(this.options.randomizer, this.seed);
+        }
+        
+        // Garbage holes use their own stream so they never change the piece sequence
+        this.garbageRandom = new SeededRandom(this.seed ^ 0x9e3779b9);
+    }
+
+    /**
+     * Push garbage rows up from the bottom (options as in GameBoard.addGarbageRows),
+     * lifting the falling piece out of the way
+     */
+    addGarbage(count, options = {}) {
+        if (count <= 0 || this.isGameOver) return;
+        
+        const overflowed = this.board.addGarbageRows(count, { rng: this.garbageRandom, ...options });
+        this.emit('garbage', count);
+        
+        const piece = this.currentPiece;
+        if (piece) {
+            while (!this.board.canPlacePiece(piece) && piece.y > -piece.shape.length) {
+                piece.y--;
+            }
+        }
+        
+        if (overflowed || (piece && !this.board.canPlacePiece(piece))) {
+            this.gameOver();
+        }
+    }
+
+    /**
+     * Create the game mode for a new game (from the replay when playing one)
+     */
+    setupMode() {
+        if (this.replayPlayer) {
+            const replay = this.replayPlayer.replay;
+            this.mode = createMode(replay.mode, replay.goal);
+        } else {
+            this.mode = createMode(this.options.mode, this.options.goal);
+        }
+        
+        this.mode.start(this);
+    }
+
+    /**
+     * Lay out the custom starting position of a new game, if any (from the
+     * replay when playing one): the board, the first pieces of the queue
+     * (the randomizer continues after them) and the hold piece
+     */
+    setupStartPosition() {
+        const position = this.replayPlayer ? this.replayPlayer.replay.startPosition : this.options.startPosition;
+        this.startPosition = position || null;
+        if (!position) return;
+        
+        this.board.setGrid(position.grid);
+        this.nextQueue.push(...position.queue.map(type => new Piece(type)));
+        this.heldPiece = position.hold ? new Piece(position.hold) : null;
+    }
+
+    /**
+     * Set the position new games start from (null for an empty board) and
+     * reset to a fresh game from it
+     */
+    setStartPosition(position) {
+        this.replayPlayer = null;
+        this.options.startPosition = position;
+        this.reset();
+    }
+
+    /**
+     * Switch to another mode and reset to a fresh game in it
+     */
+    setMode(type, goal = null) {
+        this.replayPlayer = null;
+        this.options.mode = type;
+        this.options.goal = goal;
+        this.reset();
+    }
+
+    /**
+     * Get the display label for a clear (e.g. "B2B T-SPIN MINI SINGLE")
+     */
+    getClearLabel(linesCleared, tSpin, backToBack = false, perfectClear = false) {
+        const lineNames = ['', 'SINGLE', 'DOUBLE', 'TRIPLE', 'TETRIS'];
+        const parts = [];
+        
+        if (backToBack) {
+            parts.push('B2B');
+        }
+        if (tSpin) {
+            parts.push(tSpin === 'mini' ? 'T-SPIN MINI' : 'T-SPIN');
+        }
+        if (linesCleared > 0 && (tSpin || linesCleared === 4)) {
+            parts.push(lineNames[linesCleared]);
+        }
+        if (perfectClear) {
+            parts.push('PERFECT CLEAR');
+        }
+        
+        return parts.join(' ');
+    }
+
+    /**
+     * Generate next piece
+     */
+    generateNextPiece() {
+        const type = this.randomizer.next();
+        this.nextQueue.push(new Piece(type));
+    }
+
+    /**
+     * Fill the next queue up to the preview count
+     */
+    fillNextQueue() {
+        while (this.nextQueue.length < this.previewCount) {
+            this.generateNextPiece();
+        }
+    }
+
+    /**
+     * Spawn a new piece and check for game over
+     */
+    spawnNewPiece() {
+        this.currentPiece = this.nextQueue.shift();
+        this.lastAction = null;
+        this.softDropCells = 0;
+        this.hardDropCells = 0;
+        this.autoShiftStarted = false; // a charged DAS moves the new piece right away
+        this.fillNextQueue();
+        
+        // Block out: the new piece overlaps the stack
+        if (!this.board.canPlacePiece(this.currentPiece)) {
+            this.gameOver();
+            return;
+        }
+        
+        this.startLockDelay();
+        this.mode.onPieceSpawned(this, this.currentPiece);
+        this.emit('spawn', this.currentPiece);
+    }
+
+    /**
+     * Clamp a preview count to the supported 1-6 range
+     */
+    clampPreviewCount(count) {
+        return Math.min(6, Math.max(1, Math.floor(count) || 1));
+    }
+
+    /**
+     * Set the number of next pieces kept ahead
+     */
+    setPreviewCount(count) {
+        // Pieces already drawn stay queued so the sequence is not affected
+        this.previewCount = this.clampPreviewCount(count);
+        this.fillNextQueue();
+    }
+
+    /**
+     * Get the next pieces within the preview count
+     */
+    getPreview() {
+        return this.nextQueue.slice(0, this.previewCount);
+    }
+
+    /**
+     * Get drop interval based on level
+     */
+    getLevelDropInterval() {
+        // Standard Tetris timing (frames at 60fps converted to ms)
+        const frames = Math.max(1, 48 - (this.level - 1) * 5);
+        return (frames / 60) * 1000;
+    }
+
+    /**
+     * End the game ('topOut' when the stack overflows, or a mode's own reason
+     * such as reaching its goal)
+     */
+    gameOver(reason = 'topOut') {
+        if (this.isGameOver) return;
+        
+        this.isGameOver = true;
+        this.isRunning = false;
+        this.endReason = reason;
+        this.recorder.finish(this.frame, this.getResult());
+        this.emit('gameOver', this.getResult());
+    }
+
+    /**
+     * Get game time in ms (whole frames since the start, to the millisecond)
+     */
+    getTime() {
+        return Math.round(this.frame * FRAME_DURATION);
+    }
+
+    /**
+     * Get the result of the current game
+     */
+    getResult() {
+        return {
+            score: this.score,
+            lines: this.lines,
+            level: this.level,
+            time: this.getTime(),
+            mode: this.mode.type,
+            reason: this.endReason,
+            scoring: this.scoring.type,
+            ...this.scoring.getResult(this),
+            ...this.mode.getResult(this)
+        };
+    }
+
+    /**
+     * Get everything needed to continue the current game later as plain
+     * data (see restoreState)
+     */
+    getState() {
+        return {
+            randomizer: this.randomizer.type,
+            seed: this.seed,
+            randomizerState: this.randomizer.getState(),
+            garbageRandomState: this.garbageRandom.getState(),
+            mode: this.mode.type,
+            goal: this.mode.goal,
+            modeState: this.mode.getState(),
+            startPosition: this.startPosition,
+            grid: this.board.getGrid(),
+            linesToFlash: this.board.getFlashingLines(),
+            currentPiece: getPieceState(this.currentPiece),
+            nextQueue: this.nextQueue.map(piece => piece.type),
+            heldPiece: this.heldPiece ? this.heldPiece.type : null,
+            canHold: this.canHold,
+            score: this.score,
+            lines: this.lines,
+            level: this.level,
+            combo: this.combo,
+            backToBack: this.backToBack,
+            softDropCells: this.softDropCells,
+            hardDropCells: this.hardDropCells,
+            scoring: this.scoring.type,
+            scoringState: this.scoring.getState(),
+            lastAction: this.lastAction ? { ...this.lastAction } : null,
+            handling: { ...this.handling },
+            entryDelay: this.entryDelay,
+            heldActions: [...this.heldActions],
+            shiftDirection: this.shiftDirection,
+            frame: this.frame,
+            frameAccumulator: this.frameAccumulator,
+            entryTimer: this.entryTimer,
+            dropTimer: this.dropTimer,
+            dropInterval: this.dropInterval,
+            lockReset: this.lockReset,
+            lockTimer: this.lockTimer,
+            isLocking: this.isLocking,
+            lockResets: this.lockResets,
+            lowestRow: this.lowestRow,
+            lineFlashTimer: this.lineFlashTimer,
+            recorder: this.recorder.getState()
+        };
+    }
+
+    /**
+     * Continue a game saved with getState. The game comes back paused, with
+     * every action released.
+     */
+    restoreState(state) {
+        this.replayPlayer = null;
+        this.options.randomizer = state.randomizer;
+        this.options.mode = state.mode;
+        this.options.goal = state.goal;
+        
+        this.seed = state.seed;
+        this.randomizer = createRandomizer(state.randomizer, state.seed);
+        this.randomizer.setState(state.randomizerState);
+        this.garbageRandom = new SeededRandom(this.seed ^ 0x9e3779b9);
+        this.garbageRandom.setState(state.garbageRandomState);
+        this.mode = createMode(state.mode, state.goal);
+        this.mode.setState(state.modeState);
+        this.startPosition = state.startPosition || null;
+        
+        this.board.setGrid(state.grid);
+        this.board.linesToFlash = [...state.linesToFlash];
+        this.currentPiece = createPieceFromState(state.currentPiece);
+        this.nextQueue = state.nextQueue.map(type => new Piece(type));
+        this.heldPiece = state.heldPiece ? new Piece(state.heldPiece) : null;
+        this.canHold = state.canHold;
+        this.fillNextQueue();
+        
+        this.score = state.score;
+        this.lines = state.lines;
+        this.level = state.level;
+        this.combo = state.combo;
+        this.backToBack = state.backToBack;
+        this.softDropCells = state.softDropCells;
+        this.hardDropCells = state.hardDropCells;
+        this.scoring = createScoring(state.scoring);
+        this.scoring.setState(state.scoringState);
+        this.lastAction = state.lastAction ? { ...state.lastAction } : null;
+        
+        this.handling = { ...state.handling };
+        this.entryDelay = state.entryDelay;
+        this.frame = state.frame;
+        this.frameAccumulator = state.frameAccumulator || 0;
+        this.entryTimer = state.entryTimer;
+        this.dropTimer = state.dropTimer;
+        this.dropInterval = state.dropInterval;
+        this.lockReset = state.lockReset;
+        this.lockTimer = state.lockTimer;
+        this.isLocking = state.isLocking;
+        this.lockResets = state.lockResets;
+        this.lowestRow = state.lowestRow;
+        this.lineFlashTimer = state.lineFlashTimer;
+        this.recorder.setState(state.recorder);
+        
+        this.isRunning = true;
+        this.isPaused = true;
+        this.isGameOver = false;
+        this.endReason = null;
+        
+        // Nothing is held after loading; releasing keeps the recording in step
+        this.heldActions = new Set(state.heldActions);
+        this.setShiftDirection(state.shiftDirection);
+        state.heldActions.forEach(action => this.releaseAction(action));
+        
+        this.emit('restore');
+    }
+
+    /**
+     * Get the recording of the current or last game
+     */
+    getRecordedReplay() {
+        return this.recorder.getReplay(this.frame);
+    }
+
+    /**
+     * Play a replay through the engine
+     */
+    startReplay(replay) {
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.reset();
+        this.start();
+    }
+
+    /**
+     * Leave replay playback and go back to a fresh game
+     */
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.replayPlayer = null;
+        this.reset();
+    }
+
+    /**
+     * Jump to a frame of the replay being played, its inputs included
+     * (rewinding replays from the start)
+     */
+    seekReplay(targetFrame) {
+        if (!this.replayPlayer) return;
+        
+        if (targetFrame < this.frame || !this.isRunning) {
+            this.reset();
+            this.start();
+            this.togglePause();
+        }
+        
+        while (this.frame < targetFrame && !this.isGameOver) {
+            this.advanceFrame();
+        }
+        
+        // Include the inputs of the target frame itself (at the end of the
+        // replay these are the last moves, e.g. the final hard drop)
+        if (!this.isGameOver) {
+            this.replayPlayer.applyEvents(this);
+        }
+        
+        this.frameAccumulator = 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Finesse
+ *
+ * Finesse is placing each piece with the fewest inputs. A breadth-first
+ * search from the spawn position over taps, DAS to the wall and rotations
+ * (the same kicks the engine uses) finds the minimum for every placement of
+ * a piece on an empty board. Holding a direction counts as one input however
+ * far the piece travels, and drops and hold are free. The tracker compares
+ * the keys pressed for each piece with that minimum and counts the faults.
+ */
+
+import { GameBoard } from './board.js';
+import { Piece, getRotatedPiece } from './pieces.js';
+
+// Inputs that count towards finesse
+const FINESSE_ACTIONS = ['moveLeft', 'moveRight', 'rotateCW', 'rotateCCW', 'rotate180'];
+
+// Search steps: shift by one, shift to the wall, or rotate
+const SEARCH_STEPS = [
+    { input: 'moveLeft', dx: -1 },
+    { input: 'moveRight', dx: 1 },
+    { input: 'dasLeft', dx: -1, toWall: true },
+    { input: 'dasRight', dx: 1, toWall: true },
+    { input: 'rotateCW', rotation: 1 },
+    { input: 'rotateCCW', rotation: -1 },
+    { input: 'rotate180', rotation: 2 }
+];
+
+const finesseTables = {};
+
+/**
+ * Whether a pressed action counts as a finesse input
+ */
+export function isFinesseInput(action) {
+    return FINESSE_ACTIONS.includes(action);
+}
+
+/**
+ * Get a key for the cells a piece covers, independent of its height, so
+ * rotations that land on the same cells (O, and the I/S/Z pairs) and the
+ * same placement on different stacks match
+ */
+export function getPlacementKey(piece) {
+    const positions = piece.getOccupiedPositions();
+    const top = Math.min(...positions.map(pos => pos.y));
+    return positions.map(pos => `${pos.x},${pos.y - top}`).sort().join(' ');
+}
+
+function applyStep(board, piece, step) {
+    if (step.rotation) {
+        const rotation = getRotatedPiece(board, piece, step.rotation);
+        return rotation ? rotation.piece : null;
+    }
+
+    if (!board.canPlacePiece(piece, step.dx, 0)) return null;
+
+    const moved = piece.copy();
+    do {
+        moved.x += step.dx;
+    } while (step.toWall && board.canPlacePiece(moved, step.dx, 0));
+
+    return moved;
+}
+
+/**
+ * Get the finesse table of a piece type: placement key ->
+ * { inputs, piece } with the shortest input sequence and the piece dropped
+ * into that placement on an empty board
+ */
+export function getFinesseTable(type) {
+    if (finesseTables[type]) return finesseTables[type];
+
+    const board = new GameBoard();
+    const table = new Map();
+    const start = new Piece(type);
+    const seen = new Set([`${start.x},${start.y},${start.rotation}`]);
+    let frontier = [{ piece: start, inputs: [] }];
+
+    while (frontier.length > 0) {
+        const next = [];
+
+        frontier.forEach(({ piece, inputs }) => {
+            const dropped = piece.copy();
+            dropped.y = board.getDropPosition(piece);
+            const key = getPlacementKey(dropped);
+            if (!table.has(key)) {
+                table.set(key, { inputs, piece: dropped });
+            }
+
+            SEARCH_STEPS.forEach(step => {
+                const moved = applyStep(board, piece, step);
+                if (!moved) return;
+
+                const state = `${moved.x},${moved.y},${moved.rotation}`;
+                if (seen.has(state)) return;
+                seen.add(state);
+                next.push({ piece: moved, inputs: [...inputs, step.input] });
+            });
+        });
+
+        frontier = next;
+    }
+
+    finesseTables[type] = table;
+    return table;
+}
+
+/**
+ * Get the shortest inputs for the placement of a locked piece (null if it
+ * cannot be reached from above, e.g. a tuck)
+ */
+export function getOptimalInputs(piece) {
+    const entry = getFinesseTable(piece.type).get(getPlacementKey(piece));
+    return entry ? entry.inputs : null;
+}
+
+/**
+ * Counts the inputs of each piece and the finesse faults over a game. Feed
+ * it with startPiece (spawn or hold), addInput (pressed actions) and
+ * checkPlacement (lock).
+ */
+export class FinesseTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.pieces = 0;
+        this.faults = 0;
+        this.startPiece();
+    }
+
+    startPiece() {
+        this.inputs = [];
+        this.usedSoftDrop = false;
+    }
+
+    addInput(action) {
+        if (isFinesseInput(action)) {
+            this.inputs.push(action);
+        } else if (action === 'softDrop') {
+            this.usedSoftDrop = true;
+        }
+    }
+
+    /**
+     * Check the inputs of a locked piece; returns { inputs, optimal, fault },
+     * or null when the placement is not judged (soft drops allow tucks and
+     * spins that cannot be reached from above)
+     */
+    checkPlacement(piece) {
+        const inputs = this.inputs;
+        const optimal = this.usedSoftDrop ? null : getOptimalInputs(piece);
+        this.startPiece();
+        if (!optimal) return null;
+
+        const fault = inputs.length > optimal.length;
+        this.pieces++;
+        if (fault) {
+            this.faults++;
+        }
+
+        return { inputs, optimal, fault };
+    }
+
+    getFaultRate() {
+        return this.pieces > 0 ? this.faults / this.pieces : 0;
+    }
+
+    getState() {
+        return { pieces: this.pieces, faults: this.faults, inputs: [...this.inputs], usedSoftDrop: this.usedSoftDrop };
+    }
+
+    setState(state) {
+        this.pieces = state.pieces;
+        this.faults = state.faults;
+        this.inputs = [...state.inputs];
+        this.usedSoftDrop = state.usedSoftDrop;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,465 @@
+/**
+ * Fumen (v115) import and export
+ *
+ * Fumen is the diagram format setups are shared in ("v115@..."). A diagram
+ * is a list of pages. Each page stores its field as run-length encoded
+ * differences from the field the previous page left behind (after placing
+ * its piece and clearing lines), then the piece placed on it and, when it
+ * changes, a comment, all packed into base64 digits (least significant
+ * first).
+ *
+ * Pages here use the game's types: { grid, piece, comment } with a
+ * GameBoard grid of colours (without the piece), a Piece or null, and a
+ * string. Decoded pages also keep the page flags (lock: the piece stays for
+ * the next page, colorize: guideline colours) so a diagram encodes back the
+ * same; pages without them lock, and only the first one sets colorize.
+ * Fumen fields are 23 rows high with a garbage row under the floor; rows
+ * above our board and the garbage row are dropped on import.
+ */
+
+import { GARBAGE_COLOR } from './board.js';
+import { PIECES, PIECE_TYPES, Piece } from './pieces.js';
+
+const PREFIX = 'v115@';
+const ENCODE_TABLE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const COMMENT_TABLE = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
+const COMMENT_BASE = COMMENT_TABLE.length + 1;
+const MAX_COMMENT_LENGTH = 4095;
+
+const FIELD_WIDTH = 10;
+const FIELD_TOP = 23;                             // rows above the garbage row
+const FIELD_BLOCKS = (FIELD_TOP + 1) * FIELD_WIDTH;
+const UNCHANGED = 8;                              // difference code of an unchanged cell
+const MAX_REPEAT = ENCODE_TABLE.length - 1;
+
+// Fumen cell and piece numbers: empty, the pieces, then garbage
+const FUMEN_PIECES = [null, 'I', 'L', 'O', 'Z', 'T', 'J', 'S'];
+const GARBAGE = 8;
+
+// Fumen rotation number of each of our rotation states (spawn, right,
+// reverse, left); the mapping is its own inverse
+const FUMEN_ROTATIONS = [2, 1, 0, 3];
+
+// Piece cells around the rotation centre in the spawn state (y up)
+const BLOCKS = {
+    I: [[0, 0], [-1, 0], [1, 0], [2, 0]],
+    T: [[0, 0], [-1, 0], [1, 0], [0, 1]],
+    O: [[0, 0], [1, 0], [0, 1], [1, 1]],
+    L: [[0, 0], [-1, 0], [1, 0], [1, 1]],
+    J: [[0, 0], [-1, 0], [1, 0], [-1, 1]],
+    S: [[0, 0], [-1, 0], [0, 1], [1, 1]],
+    Z: [[0, 0], [1, 0], [0, 1], [-1, 1]]
+};
+
+// Fumen stores O, I, S and Z at a point other than the rotation centre in
+// some states: offset from the centre, by our rotation state
+const POSITION_OFFSETS = {
+    O: [[0, 1], [0, 0], [-1, 0], [-1, 1]],
+    I: [[0, 0], [0, 0], [-1, 0], [0, 1]],
+    S: [[0, 1], [1, 0], [0, 0], [0, 0]],
+    Z: [[0, 1], [0, 0], [0, 0], [-1, 0]]
+};
+
+/**
+ * Piece cells around the rotation centre (y up) in one of our rotation states
+ */
+function getBlocks(type, rotation) {
+    let blocks = BLOCKS[type];
+    for (let turn = 0; turn < rotation; turn++) {
+        blocks = blocks.map(([x, y]) => [y, -x]);
+    }
+    return blocks;
+}
+
+function getPositionOffset(type, rotation) {
+    return POSITION_OFFSETS[type] ? POSITION_OFFSETS[type][rotation] : [0, 0];
+}
+
+function getCellNumber(color) {
+    if (color === null) return 0;
+    const type = PIECE_TYPES.find(other => PIECES[other].color === color);
+    return type ? FUMEN_PIECES.indexOf(type) : GARBAGE;
+}
+
+function getCellColor(number) {
+    return number === GARBAGE ? GARBAGE_COLOR : PIECES[FUMEN_PIECES[number]].color;
+}
+
+/**
+ * Field row (0 at the top, FIELD_TOP for the garbage row) of a board row;
+ * the board sits on the fumen floor
+ */
+function getFieldRow(boardRow, boardHeight) {
+    return boardRow + FIELD_TOP - boardHeight;
+}
+
+function gridToField(grid) {
+    const field = Array(FIELD_BLOCKS).fill(0);
+    grid.forEach((row, y) => {
+        row.forEach((color, x) => {
+            field[getFieldRow(y, grid.length) * FIELD_WIDTH + x] = getCellNumber(color);
+        });
+    });
+    return field;
+}
+
+function fieldToGrid(field, boardHeight) {
+    return Array(boardHeight).fill().map((_, y) => {
+        const start = getFieldRow(y, boardHeight) * FIELD_WIDTH;
+        return field.slice(start, start + FIELD_WIDTH).map(number => (number === 0 ? null : getCellColor(number)));
+    });
+}
+
+/**
+ * Convert a piece to a fumen operation: { piece, rotation, x, y } with the
+ * fumen numbers and position (y up from the floor)
+ */
+function getOperation(piece, boardHeight) {
+    const cells = piece.getOccupiedPositions().map(pos => [pos.x, boardHeight - 1 - pos.y]);
+    const blocks = getBlocks(piece.type, piece.rotation);
+    const [centerX, centerY] = cells.find(([x, y]) => blocks.every(([dx, dy]) =>
+        cells.some(cell => cell[0] === x + dx && cell[1] === y + dy)));
+    const [offsetX, offsetY] = getPositionOffset(piece.type, piece.rotation);
+
+    return {
+        piece: FUMEN_PIECES.indexOf(piece.type),
+        rotation: FUMEN_ROTATIONS[piece.rotation],
+        x: centerX + offsetX,
+        y: centerY + offsetY
+    };
+}
+
+/**
+ * Cells of a fumen operation as [x, y] with y up from the floor
+ */
+function getOperationCells({ piece, rotation, x, y }) {
+    const type = FUMEN_PIECES[piece];
+    const ourRotation = FUMEN_ROTATIONS[rotation];
+    const [offsetX, offsetY] = getPositionOffset(type, ourRotation);
+
+    return getBlocks(type, ourRotation).map(([dx, dy]) => [x - offsetX + dx, y - offsetY + dy]);
+}
+
+function operationToPiece(operation, boardHeight) {
+    const piece = new Piece(FUMEN_PIECES[operation.piece], 0, 0);
+    piece.rotate(FUMEN_ROTATIONS[operation.rotation]);
+
+    const cells = getOperationCells(operation).map(([x, y]) => ({ x, y: boardHeight - 1 - y }));
+    const shape = piece.getOccupiedPositions();
+    piece.x = Math.min(...cells.map(pos => pos.x)) - Math.min(...shape.map(pos => pos.x));
+    piece.y = Math.min(...cells.map(pos => pos.y)) - Math.min(...shape.map(pos => pos.y));
+
+    return piece;
+}
+
+/**
+ * The field the next page starts from: the piece placed, full rows
+ * cleared, then the garbage row risen and the field mirrored if flagged
+ */
+function applyAction(field, action) {
+    const next = [...field];
+
+    if (!action.lock) return next;
+
+    if (action.operation.piece !== 0) {
+        getOperationCells(action.operation).forEach(([x, y]) => {
+            const row = FIELD_TOP - 1 - y;
+            if (row >= 0 && row <= FIELD_TOP && x >= 0 && x < FIELD_WIDTH) {
+                next[row * FIELD_WIDTH + x] = action.operation.piece;
+            }
+        });
+    }
+
+    const rows = [];
+    for (let row = 0; row < FIELD_TOP; row++) {
+        rows.push(next.slice(row * FIELD_WIDTH, (row + 1) * FIELD_WIDTH));
+    }
+    let kept = rows.filter(row => row.some(cell => cell === 0));
+    kept = [...Array(FIELD_TOP - kept.length).fill().map(() => Array(FIELD_WIDTH).fill(0)), ...kept];
+    let garbage = next.slice(FIELD_TOP * FIELD_WIDTH);
+
+    if (action.rise) {
+        kept = [...kept.slice(1), garbage];
+        garbage = Array(FIELD_WIDTH).fill(0);
+    }
+    if (action.mirror) {
+        kept = kept.map(row => [...row].reverse());
+    }
+
+    return [...kept.flat(), ...garbage];
+}
+
+/**
+ * Reads base64 digits from fumen data
+ */
+class FumenReader {
+    constructor(data) {
+        this.values = data.split('').map(char => {
+            const value = ENCODE_TABLE.indexOf(char);
+            if (value === -1) {
+                throw new Error(`Invalid fumen character: ${char}`);
+            }
+            return value;
+        });
+        this.index = 0;
+    }
+
+    isEmpty() {
+        return this.index >= this.values.length;
+    }
+
+    /**
+     * Read a number stored in `digits` base64 digits
+     */
+    poll(digits) {
+        if (this.index + digits > this.values.length) {
+            throw new Error('Fumen data ends early');
+        }
+
+        let value = 0;
+        for (let digit = digits - 1; digit >= 0; digit--) {
+            value = value * ENCODE_TABLE.length + this.values[this.index + digit];
+        }
+        this.index += digits;
+        return value;
+    }
+}
+
+function pushValue(values, value, digits) {
+    let rest = value;
+    for (let digit = 0; digit < digits; digit++) {
+        values.push(rest % ENCODE_TABLE.length);
+        rest = Math.floor(rest / ENCODE_TABLE.length);
+    }
+}
+
+function encodeAction({ operation, lock, comment, colorize, rise, mirror }) {
+    const flags = [!lock, comment, colorize, mirror, rise];
+    let value = flags.reduce((total, flag) => total * 2 + (flag ? 1 : 0), 0);
+
+    value = value * FIELD_BLOCKS + (FIELD_TOP - 1 - operation.y) * FIELD_WIDTH + operation.x;
+    value = value * 4 + operation.rotation;
+    return value * 8 + operation.piece;
+}
+
+function decodeAction(value) {
+    let rest = value;
+    const take = base => {
+        const part = rest % base;
+        rest = Math.floor(rest / base);
+        return part;
+    };
+
+    const piece = take(8);
+    const rotation = take(4);
+    const position = take(FIELD_BLOCKS);
+    const rise = take(2) === 1;
+    const mirror = take(2) === 1;
+    const colorize = take(2) === 1;
+    const comment = take(2) === 1;
+    const lock = take(2) === 0;
+
+    if (piece > GARBAGE) {
+        throw new Error('Fumen page has an invalid piece');
+    }
+
+    return {
+        operation: {
+            piece: piece === GARBAGE ? 0 : piece,
+            rotation,
+            x: position % FIELD_WIDTH,
+            y: FIELD_TOP - 1 - Math.floor(position / FIELD_WIDTH)
+        },
+        lock,
+        comment,
+        colorize,
+        rise,
+        mirror
+    };
+}
+
+/**
+ * Encode pages ({ grid, piece, comment }) as a fumen string
+ */
+export function encodeFumen(pages) {
+    const values = [];
+    let prevField = Array(FIELD_BLOCKS).fill(0);
+    let prevComment = '';
+    let repeatIndex = -1;
+
+    pages.forEach((page, pageIndex) => {
+        const field = gridToField(page.grid);
+
+        // Runs of [difference, length]; a field identical to the one
+        // before is a single unchanged run, and runs of such pages share it
+        const runs = [];
+        field.forEach((number, index) => {
+            const diff = number - prevField[index] + UNCHANGED;
+            const last = runs[runs.length - 1];
+            if (last && last.diff === diff) {
+                last.count++;
+            } else {
+                runs.push({ diff, count: 1 });
+            }
+        });
+
+        const changed = runs.length > 1 || runs[0].diff !== UNCHANGED;
+        if (changed || repeatIndex === -1 || values[repeatIndex] === MAX_REPEAT) {
+            runs.forEach(run => pushValue(values, run.diff * FIELD_BLOCKS + run.count - 1, 2));
+            if (changed) {
+                repeatIndex = -1;
+            } else {
+                values.push(0);
+                repeatIndex = values.length - 1;
+            }
+        } else {
+            values[repeatIndex]++;
+        }
+
+        const comment = page.comment !== undefined ? page.comment : prevComment;
+        const action = {
+            operation: page.piece ? getOperation(page.piece, page.grid.length) : { piece: 0, rotation: 0, x: 0, y: FIELD_TOP - 1 },
+            lock: page.lock !== undefined ? page.lock : true,
+            comment: comment !== prevComment,
+            colorize: page.colorize !== undefined ? page.colorize : pageIndex === 0,
+            rise: false,
+            mirror: false
+        };
+        pushValue(values, encodeAction(action), 3);
+
+        if (action.comment) {
+            const text = escape(comment).slice(0, MAX_COMMENT_LENGTH);
+            pushValue(values, text.length, 2);
+            for (let start = 0; start < text.length; start += 4) {
+                let value = 0;
+                text.slice(start, start + 4).split('').reverse().forEach(char => {
+                    value = value * COMMENT_BASE + Math.max(0, COMMENT_TABLE.indexOf(char));
+                });
+                pushValue(values, value, 5);
+            }
+        }
+
+        prevComment = comment;
+        prevField = applyAction(field, action);
+    });
+
+    // Fumen breaks the data with a ? after the first 42 characters and then
+    // every 47 (47 per line counting the prefix)
+    const data = values.map(value => ENCODE_TABLE[value]).join('');
+    const parts = [data.slice(0, 42)];
+    for (let start = 42; start < data.length; start += 47) {
+        parts.push(data.slice(start, start + 47));
+    }
+
+    return PREFIX + parts.join('?');
+}
+
+/**
+ * Decode a fumen string (or a fumen URL) into pages ({ grid, piece,
+ * comment }) for a board `boardHeight` rows high
+ */
+export function decodeFumen(text, boardHeight = 20) {
+    const match = String(text).match(/[vmd]115@/);
+    if (!match) {
+        throw new Error('Not a v115 fumen');
+    }
+
+    const data = text.slice(match.index + PREFIX.length).split('&')[0].replace(/[?\s]+/g, '');
+    const reader = new FumenReader(data);
+    const pages = [];
+    let prevField = Array(FIELD_BLOCKS).fill(0);
+    let prevComment = '';
+    let repeat = 0;
+
+    while (!reader.isEmpty()) {
+        const field = [...prevField];
+
+        if (repeat > 0) {
+            repeat--;
+        } else {
+            let changed = false;
+            for (let index = 0; index < FIELD_BLOCKS;) {
+                const run = reader.poll(2);
+                const diff = Math.floor(run / FIELD_BLOCKS);
+                const end = index + run % FIELD_BLOCKS + 1;
+                if (diff !== UNCHANGED) {
+                    changed = true;
+                }
+                for (; index < end && index < FIELD_BLOCKS; index++) {
+                    field[index] += diff - UNCHANGED;
+                    if (field[index] < 0 || field[index] > GARBAGE) {
+                        throw new Error('Fumen page has an invalid field');
+                    }
+                }
+            }
+            if (!changed) {
+                repeat = reader.poll(1);
+            }
+        }
+
+        const action = decodeAction(reader.poll(3));
+        let comment = prevComment;
+        if (action.comment) {
+            const length = reader.poll(2);
+            let escaped = '';
+            for (let start = 0; start < length; start += 4) {
+                let value = reader.poll(5);
+                for (let count = 0; count < 4 && start + count < length; count++) {
+                    escaped += COMMENT_TABLE[value % COMMENT_BASE];
+                    value = Math.floor(value / COMMENT_BASE);
+                }
+            }
+            comment = unescape(escaped);
+        }
+
+        pages.push({
+            grid: fieldToGrid(field, boardHeight),
+            piece: action.operation.piece !== 0 ? operationToPiece(action.operation, boardHeight) : null,
+            comment,
+            lock: action.lock,
+            colorize: action.colorize
+        });
+
+        prevComment = comment;
+        prevField = applyAction(field, action);
+    }
+
+    return pages;
+}
+
+/**
+ * Collects a fumen page for every piece an engine locks (the board before
+ * the piece, and the piece where it locked)
+ */
+export class FumenRecorder {
+    constructor(engine) {
+        this.pages = [];
+        this.grid = engine.board.getGrid();
+
+        const updateGrid = () => {
+            this.grid = engine.board.getGrid();
+        };
+        engine.on('reset', () => {
+            this.pages = [];
+            updateGrid();
+        });
+        ['spawn', 'hold', 'garbage'].forEach(event => engine.on(event, updateGrid));
+
+        engine.on('lock', ({ piece }) => {
+            this.pages.push({ grid: this.grid, piece: piece.copy(), comment: '' });
+        });
+    }
+}
+
+/**
+ * Play a replay through on a fresh engine and encode its placements, a page
+ * per piece; null if no piece was placed
+ */
+export function encodeReplayFumen(engine, replay) {
+    const recorder = new FumenRecorder(engine);
+
+    engine.startReplay(replay);
+    engine.seekReplay(replay.frames);
+
+    return recorder.pages.length > 0 ? encodeFumen(recorder.pages) : null;
+}
\ No newline at end of file
@@ -4,6 +4,8 @@
  */
 
 import { TetrisGame } from './tetris.js';
+import { RANDOMIZERS } from './pieces.js';
+import { decodePosition } from './editor.js';
 
 class GameManager {
     constructor() {
@@ -28,16 +30,14 @@ class GameManager {
      */
     setupGame() {
         try {
-            // Get canvas elements
-            const gameCanvas = document.getElementById('gameCanvas');
-            const nextCanvas = document.getElementById('nextCanvas');
+            const elements = this.getElements();
             
-            if (!gameCanvas || !nextCanvas) {
+            if (!elements.gameCanvas || !elements.nextCanvas || !elements.holdCanvas) {
                 throw new Error('Canvas elements not found');
             }
             
             // Create game instance
-            this.game = new TetrisGame(gameCanvas, nextCanvas);
+            this.game = new TetrisGame(elements, this.getOptionsFromURL());
             
             // Initial render
             this.game.render();
@@ -53,6 +53,109 @@ class GameManager {
         }
     }
 
+    /**
+     * Get the page elements the game uses
+     */
+    getElements() {
+        const byId = id => document.getElementById(id);
+        
+        return {
+            gameCanvas: byId('gameCanvas'),
+            nextCanvas: byId('nextCanvas'),
+            holdCanvas: byId('holdCanvas'),
+            score: byId('score'),
+            level: byId('level'),
+            lines: byId('lines'),
+            timer: byId('timer'),
+            splits: byId('splits'),
+            finesse: byId('finesse'),
+            statsTable: byId('statsTable'),
+            gameOverScreen: byId('gameOverScreen'),
+            finalScore: byId('finalScore'),
+            resultTitle: byId('resultTitle'),
+            resultDetails: byId('resultDetails'),
+            statsSummary: byId('statsSummary'),
+            restartButton: byId('restartBtn'),
+            startButton: byId('startBtn'),
+            pauseButton: byId('pauseBtn'),
+            resetButton: byId('resetBtn'),
+            aiButton: byId('aiBtn'),
+            continueButton: byId('continueBtn'),
+            modeSelect: byId('modeSelect'),
+            settingsPanel: byId('settingsPanel'),
+            gamepadStatus: byId('gamepadStatus'),
+            touchControls: byId('touchControls'),
+            keyBindingsTable: byId('keyBindingsTable'),
+            resetBindingsButton: byId('resetBindingsBtn'),
+            gamepadBindingsTable: byId('gamepadBindingsTable'),
+            resetGamepadBindingsButton: byId('resetGamepadBindingsBtn'),
+            replay: {
+                exportButton: byId('replayExportBtn'),
+                importInput: byId('replayImportInput'),
+                playButton: byId('replayPlayBtn'),
+                exitButton: byId('replayExitBtn'),
+                speedSelect: byId('replaySpeed'),
+                seekInput: byId('replaySeek'),
+                fumenButton: byId('replayFumenBtn'),
+                status: byId('replayStatus')
+            },
+            leaderboard: {
+                table: byId('leaderboardTable'),
+                nameInput: byId('playerNameInput'),
+                exportButton: byId('leaderboardExportBtn'),
+                importInput: byId('leaderboardImportInput'),
+                status: byId('leaderboardStatus')
+            },
+            editor: {
+                toggleButton: byId('editorBtn'),
+                palette: byId('editorPalette'),
+                queueInput: byId('editorQueue'),
+                holdSelect: byId('editorHold'),
+                playButton: byId('editorPlayBtn'),
+                clearButton: byId('editorClearBtn'),
+                linkButton: byId('editorLinkBtn'),
+                normalStartButton: byId('editorNormalStartBtn'),
+                fumenInput: byId('editorFumen'),
+                fumenImportButton: byId('editorFumenImportBtn'),
+                fumenExportButton: byId('editorFumenExportBtn'),
+                prevPageButton: byId('editorPrevPageBtn'),
+                nextPageButton: byId('editorNextPageBtn'),
+                pageLabel: byId('editorPageLabel'),
+                status: byId('editorStatus')
+            }
+        };
+    }
+
+    /**
+     * Read game options from the URL (e.g. ?seed=12345&randomizer=14bag, or
+     * ?position=... for a board shared from the editor)
+     */
+    getOptionsFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const options = {};
+        
+        if (params.has('seed')) {
+            const seed = parseInt(params.get('seed'), 10);
+            if (!Number.isNaN(seed)) {
+                options.seed = seed;
+            }
+        }
+        
+        if (Object.hasOwn(RANDOMIZERS, params.get('randomizer'))) {
+            options.randomizer = params.get('randomizer');
+        }
+        
+        if (params.has('position')) {
+            try {
+                options.startPosition = decodePosition(params.get('position'));
+            } catch (error) {
+                console.warn('Ignoring invalid position in URL:', error);
+            }
+        }
+        
+        return options;
+    }
+
     /**
      * Show welcome message
      */
@@ -63,10 +166,14 @@ class GameManager {
 操作方法:
 ← → : 左右移動
 ↓ : ソフトドロップ
-↑ : 回転
+↑ / X : 右回転
+Z / Ctrl : 左回転
+A : 180度回転
 Space : ハードドロップ / ゲーム開始
+C / Shift : ホールド
 P : 一時停止/再開
 R : リセット
+(キー割り当ては画面下の Controls から変更できます)
 
 Start ボタンまたは Space キーでゲームを開始してください。
         `.trim();
@@ -224,9 +331,12 @@ try {
     console.error('Critical error during game initialization:', error);
 }
 
-// Handle page unload
+// Handle page unload (the game in progress is saved for Continue)
 window.addEventListener('beforeunload', () => {
     if (gameManager) {
+        if (gameManager.getGame()) {
+            gameManager.getGame().saveGame();
+        }
         gameManager.destroy();
     }
     if (performanceMonitor) {
@@ -0,0 +1,190 @@
+/**
+ * Gamepad input for Tetris game
+ *
+ * Polls navigator.getGamepads() every animation frame and forwards button,
+ * D-pad and analog stick changes to the InputHandler as action presses, so
+ * gamepads share the keyboard's DAS/ARR handling. While a binding is being
+ * captured, the next control pressed goes to the capture instead.
+ */
+
+import { KeyBindings } from './keybindings.js';
+
+// Control names follow the standard gamepad layout (buttons 12-15 are the D-pad)
+export const DEFAULT_GAMEPAD_BINDINGS = {
+    moveLeft: ['Button14', 'StickLeft'],
+    moveRight: ['Button15', 'StickRight'],
+    softDrop: ['Button13', 'StickDown'],
+    hardDrop: ['Button12'],
+    rotateCW: ['Button1'],
+    rotateCCW: ['Button0'],
+    rotate180: ['Button3'],
+    hold: ['Button2', 'Button4', 'Button5'],
+    pause: ['Button9'],
+    restart: ['Button8']
+};
+
+const CONTROL_NAMES = {
+    Button12: 'D-pad ↑',
+    Button13: 'D-pad ↓',
+    Button14: 'D-pad ←',
+    Button15: 'D-pad →',
+    StickLeft: 'Stick ←',
+    StickRight: 'Stick →',
+    StickUp: 'Stick ↑',
+    StickDown: 'Stick ↓'
+};
+
+/**
+ * Get a readable name for a gamepad control
+ */
+export function formatControl(control) {
+    return CONTROL_NAMES[control] || control.replace(/^Button/, 'Button ');
+}
+
+export class GamepadInput {
+    constructor(input, options = {}) {
+        this.input = input;
+        this.bindings = options.bindings || new KeyBindings('tetris.gamepadBindings', DEFAULT_GAMEPAD_BINDINGS);
+        this.deadzone = options.deadzone !== undefined ? options.deadzone : 0.5;
+        this.index = options.index !== undefined ? options.index : null; // only read this gamepad (null = all)
+        this.getGamepads = options.getGamepads || (() => (navigator.getGamepads ? navigator.getGamepads() : []));
+        this.onConnectionChange = options.onConnectionChange || (() => {});
+
+        // Controls currently pressed, mapped to the action they were pressed for
+        this.pressedControls = new Map();
+        this.animationId = null;
+        this.onCapture = null;
+
+        this.onGamepadConnected = () => this.handleConnectionChange();
+        this.onGamepadDisconnected = () => this.handleConnectionChange();
+        window.addEventListener('gamepadconnected', this.onGamepadConnected);
+        window.addEventListener('gamepaddisconnected', this.onGamepadDisconnected);
+
+        // A gamepad may already be connected (e.g. after a reload)
+        this.handleConnectionChange();
+    }
+
+    /**
+     * Start or stop polling depending on whether any gamepad is connected
+     */
+    handleConnectionChange() {
+        const gamepads = this.getConnectedGamepads();
+
+        if (gamepads.length > 0) {
+            this.start();
+        } else {
+            this.poll(); // release anything still held
+            this.stop();
+        }
+
+        this.onConnectionChange(gamepads);
+    }
+
+    getConnectedGamepads() {
+        return Array.from(this.getGamepads() || []).filter(gamepad =>
+            gamepad && gamepad.connected !== false && (this.index === null || gamepad.index === this.index));
+    }
+
+    /**
+     * Poll once per animation frame
+     */
+    start() {
+        if (this.animationId !== null) return;
+
+        const loop = () => {
+            this.poll();
+            this.animationId = requestAnimationFrame(loop);
+        };
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.animationId !== null) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    /**
+     * Read every gamepad and send presses/releases for controls that changed
+     */
+    poll() {
+        const pressed = new Set();
+
+        this.getConnectedGamepads().forEach(gamepad => {
+            this.getPressedControls(gamepad).forEach(control => {
+                pressed.add(`${gamepad.index}:${control}`);
+            });
+        });
+
+        this.pressedControls.forEach((action, id) => {
+            if (!pressed.has(id)) {
+                this.pressedControls.delete(id);
+                if (action) {
+                    this.input.releaseAction(action, `gamepad${id}`);
+                }
+            }
+        });
+
+        pressed.forEach(id => {
+            if (this.pressedControls.has(id)) return;
+
+            const control = id.split(':')[1];
+            if (this.onCapture) {
+                // Captured controls press no action, now or while still held
+                this.pressedControls.set(id, null);
+                this.onCapture(control);
+                return;
+            }
+
+            const action = this.bindings.getAction(control);
+            this.pressedControls.set(id, action);
+            if (action) {
+                this.input.pressAction(action, `gamepad${id}`);
+            }
+        });
+    }
+
+    /**
+     * Send the next control pressed to onControl instead of the game (for
+     * rebinding, see listenForKey); returns a function that stops capturing
+     */
+    captureControl(onControl) {
+        this.onCapture = onControl;
+        return () => {
+            if (this.onCapture === onControl) {
+                this.onCapture = null;
+            }
+        };
+    }
+
+    /**
+     * Get the names of the pressed buttons and stick directions of a gamepad
+     */
+    getPressedControls(gamepad) {
+        const controls = [];
+
+        gamepad.buttons.forEach((button, index) => {
+            if (button.pressed || button.value > 0.5) {
+                controls.push(`Button${index}`);
+            }
+        });
+
+        const [x = 0, y = 0] = gamepad.axes;
+        if (x <= -this.deadzone) controls.push('StickLeft');
+        if (x >= this.deadzone) controls.push('StickRight');
+        if (y <= -this.deadzone) controls.push('StickUp');
+        if (y >= this.deadzone) controls.push('StickDown');
+
+        return controls;
+    }
+
+    /**
+     * Stop polling and remove event listeners
+     */
+    destroy() {
+        this.stop();
+        window.removeEventListener('gamepadconnected', this.onGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this.onGamepadDisconnected);
+    }
+}
\ No newline at end of file
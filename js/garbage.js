@@ -0,0 +1,90 @@
+/**
+ * Garbage attack for versus play
+ *
+ * Line clears are turned into garbage lines for the opponent with a
+ * guideline-style attack table. Garbage waits in the receiver's queue until
+ * their next piece locks without clearing lines; clearing lines first
+ * cancels incoming garbage before anything is sent back.
+ */
+
+// Lines sent by line clears, indexed by lines cleared
+const LINE_ATTACK = [0, 0, 1, 2, 4];
+
+// Lines sent by T-spins, indexed by lines cleared
+const TSPIN_ATTACK = {
+    full: [0, 2, 4, 6],
+    mini: [0, 0, 1]
+};
+
+// Bonus lines for consecutive clears, indexed by combo - 1 (capped at the end)
+const COMBO_ATTACK = [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+
+/**
+ * Get the garbage lines sent by a clear event from the engine
+ */
+export function getAttack({ linesCleared, tSpin, combo }) {
+    if (linesCleared === 0) return 0;
+
+    const table = tSpin ? TSPIN_ATTACK[tSpin] : LINE_ATTACK;
+    const attack = table[Math.min(linesCleared, table.length - 1)];
+    const comboBonus = combo > 0 ? COMBO_ATTACK[Math.min(combo - 1, COMBO_ATTACK.length - 1)] : 0;
+
+    return attack + comboBonus;
+}
+
+/**
+ * Garbage waiting to enter a board, kept as separate attacks so each one
+ * gets its own hole column
+ */
+export class GarbageQueue {
+    constructor() {
+        this.batches = [];
+    }
+
+    /**
+     * Queue an attack of `lines` garbage lines
+     */
+    add(lines) {
+        if (lines > 0) {
+            this.batches.push(lines);
+        }
+    }
+
+    /**
+     * Cancel queued garbage (oldest first) with an attack; returns the lines
+     * left over to send on
+     */
+    cancel(lines) {
+        while (lines > 0 && this.batches.length > 0) {
+            const cancelled = Math.min(lines, this.batches[0]);
+            this.batches[0] -= cancelled;
+            lines -= cancelled;
+
+            if (this.batches[0] === 0) {
+                this.batches.shift();
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Total lines waiting
+     */
+    total() {
+        return this.batches.reduce((sum, lines) => sum + lines, 0);
+    }
+
+    /**
+     * Remove and return every queued attack
+     */
+    take() {
+        const batches = this.batches;
+        this.batches = [];
+        return batches;
+    }
+
+    clear() {
+        this.batches = [];
+    }
+}
\ No newline at end of file
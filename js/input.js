@@ -1,35 +1,55 @@
 /**
  * Input handling for Tetris game
+ *
+ * Keys are translated to actions and forwarded to the game as press/release
+ * events. Auto-repeat (DAS/ARR) is evaluated by the game loop from the held
+ * state, not here.
+ *
+ * Several handlers can share a page (e.g. split-screen versus): each one
+ * only reacts to its own bindings, and start/pause/restart can be sent to a
+ * shared `controls` object instead of the game.
  */
 
+import { KeyBindings } from './keybindings.js';
+
+function isTextField(target) {
+    return Boolean(target) && target.tagName === 'INPUT' && target.type === 'text';
+}
+
 export class InputHandler {
-    constructor(game) {
+    constructor(game, keyBindings = new KeyBindings(), options = {}) {
         this.game = game;
+        this.keyBindings = keyBindings;
+        this.target = options.target || document;
+        this.controls = options.controls || game;
         this.keysPressed = new Set();
-        this.keyRepeatTimers = new Map();
-        this.keyDelayTimers = new Map();
         
-        // Key repeat settings
-        this.INITIAL_DELAY = 170; // ms before first repeat
-        this.REPEAT_DELAY = 50;   // ms between repeats
+        // Sources (key codes, gamepad buttons, ...) currently holding each action
+        this.heldSources = new Map();
+        
+        // Bound handlers so the listeners can be removed again
+        this.onKeyDown = this.handleKeyDown.bind(this);
+        this.onKeyUp = this.handleKeyUp.bind(this);
         
         this.setupEventListeners();
     }
 
     setupEventListeners() {
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
-        document.addEventListener('keyup', this.handleKeyUp.bind(this));
-        
-        // Prevent default browser behavior for game keys
-        document.addEventListener('keydown', (e) => {
-            if (['ArrowLeft', 'ArrowRight', 'ArrowDown', 'ArrowUp', 'Space'].includes(e.code)) {
-                e.preventDefault();
-            }
-        });
+        this.target.addEventListener('keydown', this.onKeyDown);
+        this.target.addEventListener('keyup', this.onKeyUp);
     }
 
     handleKeyDown(event) {
         const key = event.code;
+        const action = this.keyBindings.getAction(key);
+        
+        // Typing in a text field (player name, editor queue) is not game input
+        if (!action || isTextField(event.target)) {
+            return;
+        }
+        
+        // Prevent default browser behavior for game keys
+        event.preventDefault();
         
         // Ignore if already pressed (prevent key repeat from OS)
         if (this.keysPressed.has(key)) {
@@ -37,89 +57,84 @@ export class InputHandler {
         }
         
         this.keysPressed.add(key);
-        
-        // Handle immediate actions
-        this.handleKeyAction(key);
-        
-        // Set up key repeat for movement keys
-        if (['ArrowLeft', 'ArrowRight', 'ArrowDown'].includes(key)) {
-            // Initial delay before repeating
-            this.keyDelayTimers.set(key, setTimeout(() => {
-                // Start repeating
-                this.keyRepeatTimers.set(key, setInterval(() => {
-                    if (this.keysPressed.has(key)) {
-                        this.handleKeyAction(key);
-                    }
-                }, this.REPEAT_DELAY));
-            }, this.INITIAL_DELAY));
-        }
+        this.pressAction(action, key);
     }
 
     handleKeyUp(event) {
         const key = event.code;
-        this.keysPressed.delete(key);
         
-        // Clear timers
-        if (this.keyDelayTimers.has(key)) {
-            clearTimeout(this.keyDelayTimers.get(key));
-            this.keyDelayTimers.delete(key);
+        if (!this.keysPressed.delete(key)) {
+            return;
         }
         
-        if (this.keyRepeatTimers.has(key)) {
-            clearInterval(this.keyRepeatTimers.get(key));
-            this.keyRepeatTimers.delete(key);
+        // Release whatever action the key was pressed for
+        this.heldSources.forEach((sources, action) => {
+            if (sources.has(key)) {
+                this.releaseAction(action, key);
+            }
+        });
+    }
+
+    /**
+     * Press an action from an input source; the game sees the first press only
+     */
+    pressAction(action, source) {
+        const sources = this.heldSources.get(action) || new Set();
+        const wasHeld = sources.size > 0;
+        
+        sources.add(source);
+        this.heldSources.set(action, sources);
+        
+        if (!wasHeld) {
+            this.handleKeyAction(action);
         }
     }
 
-    handleKeyAction(key) {
-        if (!this.game.isRunning && key !== 'Space' && key !== 'KeyR') {
+    /**
+     * Release an action from an input source; the game sees the last release only
+     */
+    releaseAction(action, source) {
+        const sources = this.heldSources.get(action);
+        
+        if (!sources || !sources.delete(source)) {
             return;
         }
+        
+        if (sources.size === 0) {
+            this.heldSources.delete(action);
+            this.game.releaseAction(action);
+        }
+    }
 
-        switch (key) {
-            case 'ArrowLeft':
-                this.game.movePiece(-1, 0);
-                break;
-            case 'ArrowRight':
-                this.game.movePiece(1, 0);
-                break;
-            case 'ArrowDown':
-                this.game.softDrop();
-                break;
-            case 'ArrowUp':
-                this.game.rotatePiece();
-                break;
-            case 'Space':
-                if (this.game.isRunning) {
-                    this.game.hardDrop();
-                } else if (this.game.isGameOver) {
-                    this.game.restart();
+    handleKeyAction(action) {
+        switch (action) {
+            case 'hardDrop':
+                if (this.controls.isRunning) {
+                    this.game.pressAction(action);
+                } else if (this.controls.isGameOver) {
+                    this.controls.restart();
                 } else {
-                    this.game.start();
+                    this.controls.start();
                 }
                 break;
-            case 'KeyP':
-                this.game.togglePause();
+            case 'pause':
+                this.controls.togglePause();
                 break;
-            case 'KeyR':
-                this.game.restart();
+            case 'restart':
+                this.controls.restart();
+                break;
+            default:
+                this.game.pressAction(action);
                 break;
         }
     }
 
     /**
-     * Clean up all timers
+     * Remove event listeners
      */
     destroy() {
-        // Clear all timers
-        this.keyDelayTimers.forEach(timer => clearTimeout(timer));
-        this.keyRepeatTimers.forEach(timer => clearInterval(timer));
-        this.keyDelayTimers.clear();
-        this.keyRepeatTimers.clear();
-        
-        // Remove event listeners
-        document.removeEventListener('keydown', this.handleKeyDown.bind(this));
-        document.removeEventListener('keyup', this.handleKeyUp.bind(this));
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
     }
 
     /**
@@ -134,9 +149,6 @@ export class InputHandler {
      */
     reset() {
         this.keysPressed.clear();
-        this.keyDelayTimers.forEach(timer => clearTimeout(timer));
-        this.keyRepeatTimers.forEach(timer => clearInterval(timer));
-        this.keyDelayTimers.clear();
-        this.keyRepeatTimers.clear();
+        this.heldSources.clear();
     }
 }
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Action-based key bindings with localStorage persistence
+ */
+
+export const ACTIONS = {
+    moveLeft: 'Move left',
+    moveRight: 'Move right',
+    softDrop: 'Soft drop',
+    hardDrop: 'Hard drop / Start',
+    rotateCW: 'Rotate clockwise',
+    rotateCCW: 'Rotate counter-clockwise',
+    rotate180: 'Rotate 180°',
+    hold: 'Hold',
+    pause: 'Pause/Resume',
+    restart: 'Reset'
+};
+
+export const DEFAULT_KEY_BINDINGS = {
+    moveLeft: ['ArrowLeft'],
+    moveRight: ['ArrowRight'],
+    softDrop: ['ArrowDown'],
+    hardDrop: ['Space'],
+    rotateCW: ['ArrowUp', 'KeyX'],
+    rotateCCW: ['KeyZ', 'ControlLeft'],
+    rotate180: ['KeyA'],
+    hold: ['KeyC', 'ShiftLeft', 'ShiftRight'],
+    pause: ['KeyP'],
+    restart: ['KeyR']
+};
+
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt'
+};
+
+/**
+ * Map of game actions to the key codes (KeyboardEvent.code) bound to them
+ */
+export class KeyBindings {
+    constructor(storageKey = 'tetris.keyBindings', defaults = DEFAULT_KEY_BINDINGS) {
+        this.storageKey = storageKey;
+        this.defaults = defaults;
+        this.bindings = this.load();
+    }
+
+    /**
+     * Load bindings from localStorage, falling back to the defaults
+     */
+    load() {
+        const bindings = this.copyBindings(this.defaults);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                Object.keys(ACTIONS).forEach(action => {
+                    if (Array.isArray(saved[action])) {
+                        bindings[action] = saved[action].filter(code => typeof code === 'string');
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load key bindings:', error);
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Save bindings to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Failed to save key bindings:', error);
+        }
+    }
+
+    /**
+     * Get the action bound to a key code (null if unbound)
+     */
+    getAction(code) {
+        for (const action of Object.keys(this.bindings)) {
+            if (this.bindings[action].includes(code)) {
+                return action;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the key codes bound to an action
+     */
+    getKeys(action) {
+        return [...(this.bindings[action] || [])];
+    }
+
+    /**
+     * Bind a key to an action (a key can only trigger one action)
+     */
+    addKey(action, code) {
+        Object.keys(this.bindings).forEach(other => {
+            this.bindings[other] = this.bindings[other].filter(key => key !== code);
+        });
+        this.bindings[action].push(code);
+        this.save();
+    }
+
+    /**
+     * Unbind a key from an action
+     */
+    removeKey(action, code) {
+        this.bindings[action] = this.bindings[action].filter(key => key !== code);
+        this.save();
+    }
+
+    /**
+     * Restore the default bindings
+     */
+    resetToDefaults() {
+        this.bindings = this.copyBindings(this.defaults);
+        this.save();
+    }
+
+    copyBindings(bindings) {
+        const copy = {};
+        Object.keys(ACTIONS).forEach(action => {
+            copy[action] = [...(bindings[action] || [])];
+        });
+        return copy;
+    }
+
+    /**
+     * Get a readable name for a key code
+     */
+    static formatKey(code) {
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        return code;
+    }
+}
+
+/**
+ * Capture the next keypress for rebinding: calls onKey with its code, or
+ * null for Escape (cancel). Returns a function that stops listening.
+ */
+export function listenForKey(onKey) {
+    const handleKey = event => {
+        event.preventDefault();
+        event.stopPropagation();
+        onKey(event.code === 'Escape' ? null : event.code);
+    };
+
+    // Listen on window in the capture phase so the game never sees the key
+    window.addEventListener('keydown', handleKey, true);
+    return () => window.removeEventListener('keydown', handleKey, true);
+}
+
+/**
+ * Rebinding UI: lists each action with its keys and captures the next
+ * keypress when adding a key.
+ *
+ * options.listen replaces the keypress capture (same contract as
+ * listenForKey, e.g. to capture gamepad buttons), with options.formatKey and
+ * options.captureText to match.
+ */
+export class KeyBindingPanel {
+    constructor(keyBindings, table, resetButton, options = {}) {
+        this.keyBindings = keyBindings;
+        this.table = table;
+        this.resetButton = resetButton;
+        this.onCaptureStart = options.onCaptureStart || (() => {});
+        this.listen = options.listen || listenForKey;
+        this.formatKey = options.formatKey || KeyBindings.formatKey;
+        this.captureText = options.captureText || 'Press a key…';
+        this.capturingAction = null;
+        this.stopListening = null;
+
+        this.resetButton.addEventListener('click', () => {
+            this.keyBindings.resetToDefaults();
+            this.stopCapture();
+        });
+
+        this.render();
+    }
+
+    /**
+     * Rebuild the bindings table
+     */
+    render() {
+        this.table.innerHTML = '';
+
+        Object.entries(ACTIONS).forEach(([action, label]) => {
+            const row = document.createElement('tr');
+
+            const labelCell = document.createElement('td');
+            labelCell.textContent = label;
+            row.appendChild(labelCell);
+
+            const keysCell = document.createElement('td');
+            this.keyBindings.getKeys(action).forEach(code => {
+                const keyButton = document.createElement('button');
+                keyButton.className = 'key-chip';
+                keyButton.textContent = `${this.formatKey(code)} ×`;
+                keyButton.title = 'Remove this key';
+                keyButton.addEventListener('click', () => {
+                    this.keyBindings.removeKey(action, code);
+                    this.render();
+                });
+                keysCell.appendChild(keyButton);
+            });
+
+            const addButton = document.createElement('button');
+            addButton.className = 'key-chip add';
+            addButton.textContent = this.capturingAction === action ? this.captureText : '+';
+            addButton.title = 'Add a key';
+            addButton.addEventListener('click', () => this.startCapture(action));
+            keysCell.appendChild(addButton);
+
+            row.appendChild(keysCell);
+            this.table.appendChild(row);
+        });
+    }
+
+    /**
+     * Wait for the next keypress and bind it to the action
+     */
+    startCapture(action) {
+        if (this.capturingAction === null) {
+            this.stopListening = this.listen(code => this.handleCaptureKey(code));
+        }
+        this.capturingAction = action;
+        this.onCaptureStart(action);
+        this.render();
+    }
+
+    stopCapture() {
+        if (this.stopListening) {
+            this.stopListening();
+            this.stopListening = null;
+        }
+        this.capturingAction = null;
+        this.render();
+    }
+
+    /**
+     * Bind the captured key (null cancels the capture)
+     */
+    handleCaptureKey(code) {
+        if (code !== null) {
+            this.keyBindings.addKey(this.capturingAction, code);
+        }
+
+        this.stopCapture();
+    }
+}
\ No newline at end of file
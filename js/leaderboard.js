@@ -0,0 +1,301 @@
+/**
+ * Local leaderboard
+ *
+ * Keeps the top results of every mode (and goal, e.g. Sprint 40L apart
+ * from Sprint 20L) in localStorage. Each mode decides which games count
+ * and how they are ordered (see GameMode.isRankable/compareResults).
+ * Tables can be exported as JSON and imported again, merging with the
+ * local entries, to combine scores from several machines.
+ */
+
+import { createMode, parseModeSetting, formatTime, MODES } from './modes.js';
+
+export const LEADERBOARD_VERSION = 1;
+export const LEADERBOARD_SIZE = 10;
+const MAX_NAME_LENGTH = 20;
+
+const ENTRY_FIELDS = ['score', 'lines', 'level', 'time'];
+
+/**
+ * Create a leaderboard entry from a game result
+ */
+export function createEntry(result, name) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 0x100000000).toString(36)}`,
+        name: cleanName(name),
+        score: result.score,
+        lines: result.lines,
+        level: result.level,
+        time: result.time,
+        date: new Date().toISOString()
+    };
+}
+
+function cleanName(name) {
+    return String(name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Player';
+}
+
+function isValidEntry(entry) {
+    return entry !== null && typeof entry === 'object' &&
+        typeof entry.id === 'string' &&
+        typeof entry.name === 'string' &&
+        typeof entry.date === 'string' &&
+        ENTRY_FIELDS.every(field => Number.isFinite(entry[field]));
+}
+
+export class Leaderboard {
+    constructor(storageKey = 'tetris.leaderboard') {
+        this.storageKey = storageKey;
+        this.boards = this.load();
+    }
+
+    /**
+     * Load the tables from localStorage (invalid data starts empty)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                return parseLeaderboard(saved).boards;
+            }
+        } catch (error) {
+            console.warn('Failed to load leaderboard:', error);
+        }
+
+        return {};
+    }
+
+    /**
+     * Save the tables to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, this.export());
+        } catch (error) {
+            console.warn('Failed to save leaderboard:', error);
+        }
+    }
+
+    /**
+     * Get the entries of one mode setting (e.g. "sprint:40"), best first
+     */
+    getEntries(modeSetting) {
+        return [...(this.boards[modeSetting] || [])];
+    }
+
+    /**
+     * Add a game result for a mode; returns the new entry if it made the
+     * table, otherwise null
+     */
+    addResult(modeSetting, mode, result, name) {
+        if (!mode.isRankable(result)) return null;
+
+        const entry = createEntry(result, name);
+        this.insertEntries(modeSetting, [entry]);
+        this.save();
+
+        return this.getEntries(modeSetting).includes(entry) ? entry : null;
+    }
+
+    /**
+     * Change the name on an entry (e.g. typed in after the game)
+     */
+    renameEntry(modeSetting, id, name) {
+        const entry = (this.boards[modeSetting] || []).find(other => other.id === id);
+        if (!entry) return;
+
+        entry.name = cleanName(name);
+        this.save();
+    }
+
+    /**
+     * Merge entries into a table, dropping duplicates and keeping the best
+     */
+    insertEntries(modeSetting, entries) {
+        const { type, goal } = parseModeSetting(modeSetting);
+        const mode = createMode(type, goal);
+        const merged = new Map();
+
+        [...this.getEntries(modeSetting), ...entries].forEach(entry => merged.set(entry.id, entry));
+
+        this.boards[modeSetting] = [...merged.values()]
+            .sort((a, b) => mode.compareResults(a, b) || a.date.localeCompare(b.date))
+            .slice(0, LEADERBOARD_SIZE);
+    }
+
+    /**
+     * Merge an exported leaderboard into this one; returns the number of
+     * entries read
+     */
+    import(text) {
+        const imported = parseLeaderboard(text);
+        let count = 0;
+
+        Object.entries(imported.boards).forEach(([modeSetting, entries]) => {
+            this.insertEntries(modeSetting, entries);
+            count += entries.length;
+        });
+        this.save();
+
+        return count;
+    }
+
+    export() {
+        return JSON.stringify({ version: LEADERBOARD_VERSION, boards: this.boards });
+    }
+
+    clear() {
+        this.boards = {};
+        this.save();
+    }
+}
+
+/**
+ * Parse and validate an exported leaderboard
+ */
+export function parseLeaderboard(text) {
+    const data = JSON.parse(text);
+
+    if (!data || data.version !== LEADERBOARD_VERSION) {
+        throw new Error('Unsupported leaderboard version');
+    }
+    if (!data.boards || typeof data.boards !== 'object') {
+        throw new Error('Leaderboard has no tables');
+    }
+
+    Object.entries(data.boards).forEach(([modeSetting, entries]) => {
+        if (!Object.hasOwn(MODES, modeSetting.split(':')[0])) {
+            throw new Error(`Leaderboard uses an unknown game mode: ${modeSetting}`);
+        }
+        if (!Array.isArray(entries) || !entries.every(isValidEntry)) {
+            throw new Error(`Leaderboard has invalid entries for ${modeSetting}`);
+        }
+    });
+
+    return data;
+}
+
+/**
+ * Leaderboard table on the results screen, with the player name input and
+ * export/import buttons
+ */
+export class LeaderboardPanel {
+    /**
+     * elements: table, nameInput, exportButton, importInput, status (all but
+     * table optional)
+     */
+    constructor(leaderboard, elements, options = {}) {
+        this.leaderboard = leaderboard;
+        this.elements = elements;
+        this.onNameChange = options.onNameChange || (() => {});
+        this.modeSetting = null;
+        this.highlightId = null;
+
+        if (elements.nameInput) {
+            elements.nameInput.addEventListener('change', () => this.renameHighlighted());
+        }
+        if (elements.exportButton) {
+            elements.exportButton.addEventListener('click', () => this.exportTable());
+        }
+        if (elements.importInput) {
+            elements.importInput.addEventListener('change', () => this.importTable());
+        }
+    }
+
+    /**
+     * Show the table of a mode, highlighting the entry with highlightId
+     */
+    show(modeSetting, highlightId = null) {
+        this.modeSetting = modeSetting;
+        this.highlightId = highlightId;
+        this.showStatus('');
+        this.render();
+    }
+
+    render() {
+        const table = this.elements.table;
+        const { type, goal } = parseModeSetting(this.modeSetting);
+        const byTime = createMode(type, goal).rankBy === 'time';
+
+        table.innerHTML = '';
+        const header = ['#', 'Name', byTime ? 'Time' : 'Score', 'Lines', 'Date'];
+        table.appendChild(this.createRow(header, 'th'));
+
+        const entries = this.leaderboard.getEntries(this.modeSetting);
+        entries.forEach((entry, index) => {
+            const row = this.createRow([
+                (index + 1).toString(),
+                entry.name,
+                byTime ? formatTime(entry.time) : entry.score.toString(),
+                entry.lines.toString(),
+                entry.date.slice(0, 10)
+            ], 'td');
+
+            if (entry.id === this.highlightId) {
+                row.classList.add('highlight');
+            }
+            table.appendChild(row);
+        });
+
+        if (entries.length === 0) {
+            table.appendChild(this.createRow(['', 'No scores yet', '', '', ''], 'td'));
+        }
+    }
+
+    createRow(cells, cellTag) {
+        const row = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement(cellTag);
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    renameHighlighted() {
+        const name = this.elements.nameInput.value;
+        this.onNameChange(name);
+
+        if (this.highlightId !== null) {
+            this.leaderboard.renameEntry(this.modeSetting, this.highlightId, name);
+            this.render();
+        }
+    }
+
+    /**
+     * Download every table as a JSON file
+     */
+    exportTable() {
+        const blob = new Blob([this.leaderboard.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'tetris-leaderboard.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Merge an exported leaderboard file into the local tables
+     */
+    async importTable() {
+        const file = this.elements.importInput.files[0];
+        if (!file) return;
+
+        try {
+            const count = this.leaderboard.import(await file.text());
+            this.render();
+            this.showStatus(`Merged ${count} scores`);
+        } catch (error) {
+            console.error('Failed to import leaderboard:', error);
+            this.showStatus(`Invalid leaderboard: ${error.message}`);
+        }
+
+        this.elements.importInput.value = '';
+    }
+
+    showStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+}
\ No newline at end of file
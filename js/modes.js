@@ -0,0 +1,580 @@
+/**
+ * Game modes
+ *
+ * A mode adds its own goal and end conditions on top of the engine rules.
+ * The engine calls its hooks at fixed points (game setup, every frame, new
+ * pieces, pressed actions, locks and clears) and a mode ends the game with
+ * engine.gameOver(reason).
+ * Each mode takes a single numeric `goal` whose meaning depends on the mode
+ * (the line goal in Sprint, the time limit in seconds in Ultra, the garbage
+ * rows to clear in Dig).
+ */
+
+import { Piece, SeededRandom } from './pieces.js';
+import { getFinesseTable, getPlacementKey, isFinesseInput } from './finesse.js';
+
+/**
+ * Base mode: endless marathon play with level progression
+ */
+export class GameMode {
+    constructor(goal = null) {
+        this.goal = goal;
+        this.levelProgression = true; // level (and gravity) rises every 10 lines
+        this.rankBy = 'score';        // what the leaderboard shows: 'score' or 'time'
+    }
+
+    /**
+     * Called when a new game is set up, before the first piece spawns
+     */
+    start(engine) {}
+
+    /**
+     * Called at the start of every frame
+     */
+    update(engine) {}
+
+    /**
+     * Called when a new current piece enters (spawned or swapped in from hold)
+     */
+    onPieceSpawned(engine, piece) {}
+
+    /**
+     * Called when a game action is pressed during play
+     */
+    onAction(engine, action) {}
+
+    /**
+     * Called after a piece locks ({ piece, linesCleared, tSpin })
+     */
+    onPieceLocked(engine, lock) {}
+
+    /**
+     * Called after a piece locks with lines cleared
+     */
+    onLinesCleared(engine, linesCleared) {}
+
+    /**
+     * Progress to keep when a game is saved (restored with setState)
+     */
+    getState() {
+        return {};
+    }
+
+    setState(state) {}
+
+    /**
+     * Time shown in the sidebar (ms)
+     */
+    getDisplayTime(engine) {
+        return engine.getTime();
+    }
+
+    /**
+     * Mode-specific fields added to the game result
+     */
+    getResult(engine) {
+        return {};
+    }
+
+    /**
+     * Rows for the results screen as [label, value] pairs
+     */
+    getResultRows(result) {
+        return [
+            ['Time', formatTime(result.time)],
+            ['Lines', result.lines.toString()],
+            ['Level', result.level.toString()]
+        ];
+    }
+
+    /**
+     * Whether a finished game goes on the leaderboard
+     */
+    isRankable(result) {
+        return true;
+    }
+
+    /**
+     * Leaderboard order (negative when result a ranks above b); results
+     * have at least score, lines, level and time
+     */
+    compareResults(a, b) {
+        return b.score - a.score || b.lines - a.lines || a.time - b.time;
+    }
+}
+
+export class MarathonMode extends GameMode {}
+
+/**
+ * Sprint: clear `goal` lines as fast as possible, with a split every 10 lines
+ */
+export class SprintMode extends GameMode {
+    constructor(goal = 40) {
+        super(goal);
+        this.levelProgression = false;
+        this.rankBy = 'time';
+        this.splits = [];
+    }
+
+    start(engine) {
+        this.splits = [];
+    }
+
+    getState() {
+        return { splits: this.splits.map(split => ({ ...split })) };
+    }
+
+    setState(state) {
+        this.splits = state.splits.map(split => ({ ...split }));
+    }
+
+    onLinesCleared(engine, linesCleared) {
+        const lines = Math.min(engine.lines, this.goal);
+
+        while ((this.splits.length + 1) * 10 <= lines) {
+            this.splits.push({ lines: (this.splits.length + 1) * 10, time: engine.getTime() });
+        }
+
+        if (engine.lines >= this.goal) {
+            engine.gameOver('goal');
+        }
+    }
+
+    getResult(engine) {
+        return { splits: this.splits.map(split => ({ ...split })) };
+    }
+
+    getResultRows(result) {
+        const rows = [
+            ['Time', result.reason === 'goal' ? formatTime(result.time) : 'DNF'],
+            ['Lines', `${Math.min(result.lines, this.goal)} / ${this.goal}`]
+        ];
+
+        result.splits.forEach(split => {
+            rows.push([`${split.lines} lines`, formatTime(split.time)]);
+        });
+
+        return rows;
+    }
+
+    isRankable(result) {
+        return result.reason === 'goal';
+    }
+
+    compareResults(a, b) {
+        return a.time - b.time || b.score - a.score;
+    }
+}
+
+/**
+ * Ultra: score as much as possible before `goal` seconds run out
+ */
+export class UltraMode extends GameMode {
+    constructor(goal = 120) {
+        super(goal);
+        this.duration = goal * 1000;
+        this.minuteScores = [];
+        this.scoreAtMinute = 0;
+    }
+
+    start(engine) {
+        this.minuteScores = [];
+        this.scoreAtMinute = 0;
+    }
+
+    update(engine) {
+        const time = Math.min(engine.getTime(), this.duration);
+
+        // Score earned in each full minute
+        while ((this.minuteScores.length + 1) * 60000 <= time) {
+            this.recordMinute(engine);
+        }
+
+        if (time >= this.duration) {
+            // The last minute may be partial
+            if (this.minuteScores.length * 60000 < this.duration) {
+                this.recordMinute(engine);
+            }
+            engine.gameOver('timeUp');
+        }
+    }
+
+    getState() {
+        return { minuteScores: [...this.minuteScores], scoreAtMinute: this.scoreAtMinute };
+    }
+
+    setState(state) {
+        this.minuteScores = [...state.minuteScores];
+        this.scoreAtMinute = state.scoreAtMinute;
+    }
+
+    recordMinute(engine) {
+        this.minuteScores.push(engine.score - this.scoreAtMinute);
+        this.scoreAtMinute = engine.score;
+    }
+
+    /**
+     * Ultra counts down
+     */
+    getDisplayTime(engine) {
+        return Math.max(0, this.duration - engine.getTime());
+    }
+
+    getResult(engine) {
+        return { duration: this.duration, minuteScores: [...this.minuteScores] };
+    }
+
+    getResultRows(result) {
+        const minutes = Math.max(result.time, 1) / 60000;
+        const rows = [
+            ['Time', formatTime(result.time)],
+            ['Lines', result.lines.toString()],
+            ['Score per minute', Math.round(result.score / minutes).toString()]
+        ];
+
+        result.minuteScores.forEach((score, index) => {
+            rows.push([`Minute ${index + 1}`, `+${score}`]);
+        });
+
+        return rows;
+    }
+}
+
+// Garbage rows kept on the board at once in Dig
+const DIG_VISIBLE_ROWS = 10;
+
+/**
+ * Dig (cheese race): clear `goal` garbage rows, refilled from the bottom so
+ * at most DIG_VISIBLE_ROWS are on the board at once
+ */
+export class DigMode extends GameMode {
+    constructor(goal = 10) {
+        super(goal);
+        this.levelProgression = false;
+        this.rankBy = 'time';
+        this.totalRows = goal;     // garbage rows to clear (Infinity = no goal)
+        this.refill = true;        // top the board back up as garbage is cleared
+        this.riseInterval = 0;     // ms between rising garbage rows (0 = none)
+        this.garbageAdded = 0;
+        this.garbageCleared = 0;
+        this.nextRiseTime = 0;
+    }
+
+    start(engine) {
+        // Garbage rows already on a custom starting board count towards the goal
+        const existing = engine.board.getGarbageRowCount();
+        this.garbageAdded = existing;
+        this.garbageCleared = 0;
+        this.nextRiseTime = this.riseInterval;
+        this.addGarbage(engine, Math.min(DIG_VISIBLE_ROWS, this.totalRows) - existing);
+    }
+
+    update(engine) {
+        if (this.riseInterval === 0) return;
+
+        while (engine.getTime() >= this.nextRiseTime && !engine.isGameOver) {
+            this.addGarbage(engine, 1);
+            this.nextRiseTime += this.riseInterval;
+        }
+    }
+
+    onLinesCleared(engine, linesCleared) {
+        const remaining = engine.board.getGarbageRowCount();
+        this.garbageCleared = this.garbageAdded - remaining;
+
+        if (this.garbageCleared >= this.totalRows) {
+            engine.gameOver('goal');
+            return;
+        }
+
+        if (this.refill) {
+            const missing = Math.min(DIG_VISIBLE_ROWS - remaining, this.totalRows - this.garbageAdded);
+            this.addGarbage(engine, missing);
+        }
+    }
+
+    getState() {
+        return {
+            garbageAdded: this.garbageAdded,
+            garbageCleared: this.garbageCleared,
+            nextRiseTime: this.nextRiseTime
+        };
+    }
+
+    setState(state) {
+        this.garbageAdded = state.garbageAdded;
+        this.garbageCleared = state.garbageCleared;
+        this.nextRiseTime = state.nextRiseTime;
+    }
+
+    addGarbage(engine, count) {
+        if (count <= 0) return;
+
+        engine.addGarbage(count, { holeMode: 'messy' });
+        this.garbageAdded += count;
+    }
+
+    getResult(engine) {
+        return { garbageCleared: this.garbageCleared };
+    }
+
+    getResultRows(result) {
+        return [
+            ['Time', result.reason === 'goal' ? formatTime(result.time) : 'DNF'],
+            ['Garbage cleared', `${result.garbageCleared} / ${this.totalRows}`],
+            ['Lines', result.lines.toString()]
+        ];
+    }
+
+    isRankable(result) {
+        return result.reason === 'goal';
+    }
+
+    compareResults(a, b) {
+        return a.time - b.time || a.lines - b.lines;
+    }
+}
+
+/**
+ * Dig survival: a new garbage row rises every `goal` seconds; survive as
+ * long as possible
+ */
+export class DigSurvivalMode extends DigMode {
+    constructor(goal = 5) {
+        super(goal);
+        this.totalRows = Infinity;
+        this.refill = false;
+        this.riseInterval = goal * 1000;
+    }
+
+    getResultRows(result) {
+        return [
+            ['Time survived', formatTime(result.time)],
+            ['Garbage cleared', result.garbageCleared.toString()],
+            ['Lines', result.lines.toString()]
+        ];
+    }
+
+    isRankable(result) {
+        return true;
+    }
+
+    compareResults(a, b) {
+        return b.time - a.time || b.lines - a.lines;
+    }
+}
+
+/**
+ * Versus: last player standing wins; garbage is exchanged by the match
+ * (see VersusMatch), which also keeps the attack counts here
+ */
+export class VersusMode extends GameMode {
+    constructor() {
+        super(null);
+        this.levelProgression = false;
+        this.linesSent = 0;
+        this.linesReceived = 0;
+    }
+
+    start(engine) {
+        this.linesSent = 0;
+        this.linesReceived = 0;
+    }
+
+    getState() {
+        return { linesSent: this.linesSent, linesReceived: this.linesReceived };
+    }
+
+    setState(state) {
+        this.linesSent = state.linesSent;
+        this.linesReceived = state.linesReceived;
+    }
+
+    getResult(engine) {
+        return { linesSent: this.linesSent, linesReceived: this.linesReceived };
+    }
+
+    getResultRows(result) {
+        const minutes = Math.max(result.time, 1) / 60000;
+        return [
+            ['Time', formatTime(result.time)],
+            ['Lines', result.lines.toString()],
+            ['Lines sent', result.linesSent.toString()],
+            ['Lines received', result.linesReceived.toString()],
+            ['Attack per minute', (result.linesSent / minutes).toFixed(1)]
+        ];
+    }
+
+    /**
+     * Versus results depend on the opponent, so they are not ranked
+     */
+    isRankable(result) {
+        return false;
+    }
+}
+
+/**
+ * Finesse trainer: place `goal` pieces on the target shown, each with the
+ * fewest inputs (see finesse.js). The board is cleared after every piece;
+ * a wrong placement or extra inputs is a fault and the piece comes back.
+ */
+export class FinesseMode extends GameMode {
+    constructor(goal = 20) {
+        super(goal);
+        this.levelProgression = false;
+        this.rankBy = 'time';
+        this.random = new SeededRandom(); // reseeded from the game in start (or restored by setState)
+        this.target = null; // { type, key, inputs, piece } from the finesse table
+        this.retryTarget = null;
+        this.inputs = 0;
+        this.placed = 0;
+        this.faults = 0;
+    }
+
+    start(engine) {
+        this.random = new SeededRandom(engine.seed);
+        this.target = null;
+        this.retryTarget = null;
+        this.inputs = 0;
+        this.placed = 0;
+        this.faults = 0;
+    }
+
+    onPieceSpawned(engine, piece) {
+        this.inputs = 0;
+
+        if (this.retryTarget && this.retryTarget.type === piece.type) {
+            this.target = this.retryTarget;
+        } else {
+            const keys = [...getFinesseTable(piece.type).keys()];
+            this.target = this.getTarget(piece.type, keys[this.random.nextInt(keys.length)]);
+        }
+        this.retryTarget = null;
+    }
+
+    onAction(engine, action) {
+        if (isFinesseInput(action)) {
+            this.inputs++;
+        }
+    }
+
+    onPieceLocked(engine, { piece }) {
+        const fault = getPlacementKey(piece) !== this.target.key || this.inputs > this.target.inputs.length;
+        engine.board.reset();
+
+        if (fault) {
+            this.faults++;
+            this.retryTarget = this.target;
+            engine.nextQueue.unshift(new Piece(piece.type));
+            return;
+        }
+
+        this.placed++;
+        if (this.placed >= this.goal) {
+            engine.gameOver('goal');
+        }
+    }
+
+    getTarget(type, key) {
+        const entry = getFinesseTable(type).get(key);
+        return { type, key, inputs: entry.inputs, piece: entry.piece.copy() };
+    }
+
+    getState() {
+        return {
+            random: this.random.getState(),
+            target: this.target ? { type: this.target.type, key: this.target.key } : null,
+            retryTarget: this.retryTarget ? { type: this.retryTarget.type, key: this.retryTarget.key } : null,
+            inputs: this.inputs,
+            placed: this.placed,
+            faults: this.faults
+        };
+    }
+
+    setState(state) {
+        this.random.setState(state.random);
+        this.target = state.target ? this.getTarget(state.target.type, state.target.key) : null;
+        this.retryTarget = state.retryTarget ? this.getTarget(state.retryTarget.type, state.retryTarget.key) : null;
+        this.inputs = state.inputs;
+        this.placed = state.placed;
+        this.faults = state.faults;
+    }
+
+    getResult(engine) {
+        return { placed: this.placed, faults: this.faults };
+    }
+
+    getResultRows(result) {
+        const attempts = result.placed + result.faults;
+        const faultRate = attempts > 0 ? result.faults / attempts * 100 : 0;
+        return [
+            ['Time', result.reason === 'goal' ? formatTime(result.time) : 'DNF'],
+            ['Pieces', `${result.placed} / ${this.goal}`],
+            ['Faults', result.faults.toString()],
+            ['Fault rate', `${faultRate.toFixed(1)}%`]
+        ];
+    }
+
+    isRankable(result) {
+        return result.reason === 'goal';
+    }
+
+    compareResults(a, b) {
+        return a.time - b.time;
+    }
+}
+
+export const MODES = {
+    'marathon': () => new MarathonMode(),
+    'sprint': goal => new SprintMode(goal || 40),
+    'ultra': goal => new UltraMode(goal || 120),
+    'dig': goal => new DigMode(goal || 10),
+    'digSurvival': goal => new DigSurvivalMode(goal || 5),
+    'versus': () => new VersusMode(),
+    'finesse': goal => new FinesseMode(goal || 20)
+};
+
+/**
+ * Create a mode of the given type (goal = null uses the mode's default)
+ */
+export function createMode(type = 'marathon', goal = null) {
+    if (!Object.hasOwn(MODES, type)) {
+        throw new Error(`Unknown game mode: ${type}`);
+    }
+
+    const mode = MODES[type](goal);
+    mode.type = type;
+    return mode;
+}
+
+/**
+ * Get the setting value for a mode, e.g. "sprint:40" (also used to tell
+ * leaderboards apart)
+ */
+export function getModeSetting(mode) {
+    return mode.goal !== null ? `${mode.type}:${mode.goal}` : mode.type;
+}
+
+/**
+ * Parse a mode setting such as "sprint:40" into { type, goal }
+ */
+export function parseModeSetting(value) {
+    const [type, goal] = String(value).split(':');
+    if (!Object.hasOwn(MODES, type)) {
+        return { type: 'marathon', goal: null };
+    }
+
+    const parsedGoal = parseInt(goal, 10);
+    return { type, goal: Number.isNaN(parsedGoal) ? null : parsedGoal };
+}
+
+/**
+ * Format a time in ms as m:ss.mmm
+ */
+export function formatTime(ms) {
+    const totalMilliseconds = Math.max(0, Math.floor(ms));
+    const minutes = Math.floor(totalMilliseconds / 60000);
+    const seconds = Math.floor(totalMilliseconds / 1000) % 60;
+    const milliseconds = totalMilliseconds % 1000;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+}
\ No newline at end of file
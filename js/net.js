@@ -0,0 +1,332 @@
+/**
+ * Online versus networking
+ *
+ * NetClient talks to the game server (server/server.mjs) over WebSocket;
+ * OnlineSession connects it to a TetrisEngine so two clients play the same
+ * versus game. Neither touches the DOM, so headless clients (server/bot.mjs)
+ * use them too.
+ *
+ * Messages are JSON objects with a `type`:
+ *   client -> server: create, join { room }, ready, leave,
+ *                     attack { lines }, board { board }, gameOver { result }
+ *   server -> client: joined { room, player, players }, opponentJoined,
+ *                     opponentReady, opponentLeft, start { seed }, error { message },
+ *                     and the opponent's attack, board and gameOver
+ */
+
+import { getAttack, GarbageQueue } from './garbage.js';
+import { GameBoard } from './board.js';
+import { PIECE_TYPES } from './pieces.js';
+
+/**
+ * Get the server URL for the page's own host (ws:// or wss://)
+ */
+export function getDefaultServerURL() {
+    if (typeof location === 'undefined') {
+        return 'ws://localhost:8080';
+    }
+    return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+}
+
+/**
+ * WebSocket client for the game server.
+ * Events: open, close, and one event per server message type
+ */
+export class NetClient {
+    /**
+     * options.WebSocket: WebSocket implementation (default: the browser's)
+     */
+    constructor(url = getDefaultServerURL(), options = {}) {
+        this.url = url;
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+        this.socket = null;
+        this.connected = false;
+        this.room = null;
+        this.player = 0;
+        this.listeners = {};
+    }
+
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        if (!this.listeners[event]) return;
+
+        this.listeners[event] = this.listeners[event].filter(other => other !== listener);
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Open the connection (emits open, or error and close)
+     */
+    connect() {
+        if (this.socket) return;
+
+        this.socket = new this.WebSocket(this.url);
+        this.socket.addEventListener('open', () => {
+            this.connected = true;
+            this.emit('open');
+        });
+        this.socket.addEventListener('message', event => this.handleMessage(event.data));
+        this.socket.addEventListener('error', () => {
+            this.emit('error', { message: `Could not connect to ${this.url}` });
+        });
+        this.socket.addEventListener('close', () => {
+            this.socket = null;
+            this.connected = false;
+            this.room = null;
+            this.emit('close');
+        });
+    }
+
+    disconnect() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            message = null;
+        }
+        if (!message || typeof message !== 'object') {
+            console.warn('Ignoring invalid server message:', text);
+            return;
+        }
+
+        if (message.type === 'joined') {
+            this.room = message.room;
+            this.player = message.player;
+        }
+
+        this.emit(message.type, message);
+    }
+
+    send(type, data = {}) {
+        if (!this.connected) return;
+
+        this.socket.send(JSON.stringify({ ...data, type }));
+    }
+
+    createRoom() {
+        this.send('create');
+    }
+
+    joinRoom(room) {
+        this.send('join', { room });
+    }
+
+    ready() {
+        this.send('ready');
+    }
+
+    leaveRoom() {
+        this.send('leave');
+        this.room = null;
+    }
+}
+
+/**
+ * Snapshot of a board for the opponent's view
+ */
+export function createBoardSnapshot(engine, incoming = 0) {
+    return {
+        grid: engine.board.getGrid(),
+        hold: engine.heldPiece ? engine.heldPiece.type : null,
+        next: engine.getPreview().map(piece => piece.type),
+        score: engine.score,
+        lines: engine.lines,
+        incoming
+    };
+}
+
+/**
+ * Check a board snapshot from the opponent before it is drawn
+ */
+export function isBoardSnapshot(snapshot) {
+    const { width, height } = new GameBoard();
+    const isPieceType = type => PIECE_TYPES.includes(type);
+    const isCount = value => Number.isInteger(value) && value >= 0;
+
+    return Boolean(snapshot) && Array.isArray(snapshot.grid) && snapshot.grid.length === height &&
+        snapshot.grid.every(row => Array.isArray(row) && row.length === width &&
+            row.every(cell => cell === null || typeof cell === 'string')) &&
+        Array.isArray(snapshot.next) && snapshot.next.every(isPieceType) &&
+        (snapshot.hold === null || isPieceType(snapshot.hold)) &&
+        isCount(snapshot.score) && isCount(snapshot.lines) && isCount(snapshot.incoming);
+}
+
+/**
+ * Plays a versus game on a local engine against a remote opponent.
+ *
+ * The server picks the seed, so both engines deal the same pieces. Attacks
+ * work as in local versus (see VersusMatch): they cancel our own incoming
+ * garbage first and the rest goes to the opponent, whose client queues it.
+ * The engine should run the 'versus' mode.
+ *
+ * Events: start, incoming (lines), opponentBoard (snapshot),
+ *         end ({ won, result, opponentResult })
+ */
+export class OnlineSession {
+    constructor(engine, client) {
+        this.engine = engine;
+        this.client = client;
+        this.incoming = new GarbageQueue();
+        this.playing = false;
+        this.opponentBoard = null;
+        this.opponentResult = null;
+        this.listeners = {};
+
+        this.setupEngineEvents();
+        this.setupClientEvents();
+    }
+
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        if (!this.listeners[event]) return;
+
+        this.listeners[event] = this.listeners[event].filter(other => other !== listener);
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(listener => listener(data));
+    }
+
+    setupEngineEvents() {
+        const engine = this.engine;
+
+        engine.on('clear', clear => this.sendAttack(getAttack(clear)));
+
+        engine.on('lock', ({ linesCleared }) => {
+            if (linesCleared === 0) {
+                this.receiveGarbage();
+            }
+        });
+
+        ['spawn', 'hold', 'garbage'].forEach(event => engine.on(event, () => this.sendBoard()));
+
+        engine.on('gameOver', result => {
+            // A win comes from the opponent's game over; anything else is ours to report
+            if (!this.playing || result.reason === 'win') return;
+
+            this.client.send('gameOver', { result });
+            this.finish(false);
+        });
+    }
+
+    setupClientEvents() {
+        const client = this.client;
+
+        client.on('start', ({ seed }) => this.start(seed));
+
+        // The opponent's messages are checked: at most a board of garbage per attack
+        client.on('attack', ({ lines }) => {
+            if (!this.playing || !Number.isInteger(lines) || lines <= 0) return;
+
+            this.incoming.add(Math.min(lines, this.engine.board.height));
+            this.emit('incoming', this.incoming.total());
+        });
+
+        client.on('board', ({ board }) => {
+            if (!isBoardSnapshot(board)) return;
+
+            this.opponentBoard = board;
+            this.emit('opponentBoard', board);
+        });
+
+        client.on('gameOver', ({ result }) => {
+            this.opponentResult = result;
+            this.winByDefault();
+        });
+
+        // A player who leaves mid-game forfeits
+        client.on('opponentLeft', () => this.winByDefault());
+        client.on('close', () => {
+            if (this.playing) {
+                this.engine.gameOver();
+            }
+        });
+    }
+
+    /**
+     * Start a new game with the seed chosen by the server
+     */
+    start(seed) {
+        const engine = this.engine;
+        this.incoming.clear();
+        this.opponentBoard = null;
+        this.opponentResult = null;
+        this.playing = true;
+
+        engine.options.seed = seed;
+        engine.reset();
+        engine.start();
+
+        this.emit('start');
+        this.emit('incoming', 0);
+        this.sendBoard();
+    }
+
+    /**
+     * Cancel our own incoming garbage, then send the rest
+     */
+    sendAttack(lines) {
+        if (!this.playing || lines === 0) return;
+
+        this.engine.mode.linesSent += lines;
+        const remaining = this.incoming.cancel(lines);
+        if (remaining > 0) {
+            this.client.send('attack', { lines: remaining });
+        }
+        this.emit('incoming', this.incoming.total());
+    }
+
+    /**
+     * Raise the queued garbage into the board, one hole column per attack
+     */
+    receiveGarbage() {
+        if (!this.playing) return;
+
+        this.incoming.take().forEach(lines => {
+            this.engine.addGarbage(lines, { holeMode: 'random' });
+            this.engine.mode.linesReceived += lines;
+        });
+        this.emit('incoming', 0);
+    }
+
+    sendBoard() {
+        if (!this.playing) return;
+
+        this.client.send('board', { board: createBoardSnapshot(this.engine, this.incoming.total()) });
+    }
+
+    winByDefault() {
+        if (!this.playing) return;
+
+        this.engine.gameOver('win');
+        this.finish(true);
+    }
+
+    finish(won) {
+        this.playing = false;
+        this.emit('end', { won, result: this.engine.getResult(), opponentResult: this.opponentResult });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Online versus page entry point
+ */
+
+import { OnlineMatch } from './online.js';
+
+function setupMatch() {
+    const byId = id => document.getElementById(id);
+    const params = new URLSearchParams(window.location.search);
+
+    const match = new OnlineMatch({
+        player: {
+            gameCanvas: byId('gameCanvas'),
+            nextCanvas: byId('nextCanvas'),
+            holdCanvas: byId('holdCanvas'),
+            score: byId('score'),
+            lines: byId('lines'),
+            timer: byId('timer'),
+            garbageMeter: byId('garbageMeter'),
+            keyBindingsTable: byId('keyBindingsTable'),
+            resetBindingsButton: byId('resetBindingsBtn')
+        },
+        opponent: {
+            gameCanvas: byId('opponentGameCanvas'),
+            nextCanvas: byId('opponentNextCanvas'),
+            holdCanvas: byId('opponentHoldCanvas'),
+            score: byId('opponentScore'),
+            lines: byId('opponentLines'),
+            garbageMeter: byId('opponentGarbageMeter')
+        },
+        status: byId('netStatus'),
+        roomCode: byId('roomCode'),
+        roomInput: byId('roomInput'),
+        createButton: byId('createRoomBtn'),
+        joinButton: byId('joinRoomBtn'),
+        readyButton: byId('readyBtn'),
+        leaveButton: byId('leaveRoomBtn'),
+        winnerScreen: byId('winnerScreen'),
+        winnerTitle: byId('winnerTitle'),
+        winnerDetails: byId('winnerDetails'),
+        rematchButton: byId('rematchBtn')
+    }, {
+        url: params.get('server') || undefined,
+        room: params.get('room')
+    });
+
+    window.addEventListener('beforeunload', () => match.destroy());
+
+    // Make the match accessible globally for debugging
+    window.tetrisOnline = match;
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupMatch);
+} else {
+    setupMatch();
+}
\ No newline at end of file
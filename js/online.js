@@ -0,0 +1,231 @@
+/**
+ * Online versus page
+ *
+ * Our own TetrisGame plus a view of the opponent's board, built from the
+ * snapshots the opponent's client sends. Rooms are joined by a short code;
+ * a game starts once both players are ready.
+ */
+
+import { TetrisGame } from './tetris.js';
+import { Renderer } from './renderer.js';
+import { GameBoard } from './board.js';
+import { Piece } from './pieces.js';
+import { NetClient, OnlineSession } from './net.js';
+import { updateGarbageMeter, renderResultComparison } from './versus.js';
+
+export class OnlineMatch {
+    /**
+     * elements:
+     *   player   - TetrisGame elements for our board (plus garbageMeter)
+     *   opponent - gameCanvas, nextCanvas, holdCanvas, score, lines, garbageMeter
+     *   status, roomCode, roomInput, createButton, joinButton, readyButton,
+     *   leaveButton, winnerScreen, winnerTitle, winnerDetails, rematchButton
+     * options: url (server, default: this page's host), room (join on connect)
+     */
+    constructor(elements, options = {}) {
+        this.elements = elements;
+        this.client = new NetClient(options.url, options);
+        this.game = new TetrisGame(elements.player, { mode: 'versus', goal: null, controls: this });
+        this.session = new OnlineSession(this.game.engine, this.client);
+        this.roomToJoin = options.room || null;
+
+        const opponent = elements.opponent;
+        this.opponentRenderer = new Renderer(opponent.gameCanvas, opponent.nextCanvas, opponent.holdCanvas);
+        this.opponentBoard = new GameBoard();
+
+        this.setupUI();
+        this.setupClientEvents();
+        this.setupSessionEvents();
+        this.updateUI();
+        this.renderOpponent(null);
+
+        this.showStatus('Connecting...');
+        this.client.connect();
+    }
+
+    setupUI() {
+        const elements = this.elements;
+        const buttons = {
+            createButton: () => this.client.createRoom(),
+            joinButton: () => this.client.joinRoom(elements.roomInput.value.trim()),
+            readyButton: () => this.ready(),
+            leaveButton: () => this.leaveRoom(),
+            rematchButton: () => this.ready()
+        };
+        Object.entries(buttons).forEach(([name, handler]) => {
+            if (elements[name]) {
+                elements[name].addEventListener('click', handler);
+            }
+        });
+    }
+
+    setupClientEvents() {
+        const client = this.client;
+
+        client.on('open', () => {
+            if (this.roomToJoin) {
+                client.joinRoom(this.roomToJoin);
+                this.roomToJoin = null;
+            } else {
+                this.showStatus('Create a room or join one with its code');
+            }
+            this.updateUI();
+        });
+
+        client.on('close', () => {
+            this.showStatus('Disconnected from the server');
+            this.updateUI();
+        });
+
+        client.on('joined', ({ players }) => {
+            this.showStatus(players < 2 ? 'Waiting for an opponent to join...' : 'Opponent here - press Ready');
+            this.updateUI();
+        });
+
+        client.on('opponentJoined', () => this.showStatus('Opponent joined - press Ready'));
+        client.on('opponentReady', () => this.showStatus('Opponent is ready'));
+
+        client.on('opponentLeft', () => {
+            this.showStatus('Opponent left - waiting for a new one...');
+            this.renderOpponent(null);
+        });
+
+        client.on('error', ({ message }) => this.showStatus(message));
+    }
+
+    setupSessionEvents() {
+        const session = this.session;
+
+        session.on('start', () => {
+            this.hideWinner();
+            this.showStatus('Playing');
+            this.updateUI();
+        });
+
+        session.on('incoming', lines => updateGarbageMeter(this.elements.player.garbageMeter, lines));
+        session.on('opponentBoard', board => this.renderOpponent(board));
+
+        session.on('end', ({ won, result, opponentResult }) => {
+            this.showStatus(won ? 'You won!' : 'You lost');
+            this.showWinner(won, result, opponentResult);
+            this.updateUI();
+        });
+    }
+
+    get isRunning() {
+        return this.game.isRunning;
+    }
+
+    get isPaused() {
+        return false;
+    }
+
+    get isGameOver() {
+        return false;
+    }
+
+    /**
+     * Starting from the keyboard means getting ready for the next game
+     */
+    start() {
+        this.ready();
+    }
+
+    restart() {
+        this.ready();
+    }
+
+    /**
+     * Online games cannot be paused
+     */
+    togglePause() {}
+
+    ready() {
+        if (!this.client.room || this.session.playing) return;
+
+        this.client.ready();
+        this.hideWinner();
+        this.showStatus('Ready - waiting for the opponent...');
+    }
+
+    leaveRoom() {
+        if (this.session.playing) {
+            this.game.engine.gameOver();
+        }
+        this.client.leaveRoom();
+        this.renderOpponent(null);
+        this.showStatus('Create a room or join one with its code');
+        this.updateUI();
+    }
+
+    /**
+     * Draw the opponent's last snapshot (null clears the view)
+     */
+    renderOpponent(snapshot) {
+        const { score, lines, garbageMeter } = this.elements.opponent;
+
+        this.opponentBoard.reset();
+        if (snapshot) {
+            this.opponentBoard.grid = snapshot.grid;
+        }
+
+        this.opponentRenderer.render({
+            board: this.opponentBoard,
+            currentPiece: null,
+            nextQueue: snapshot ? snapshot.next.map(type => new Piece(type)) : [],
+            heldPiece: snapshot && snapshot.hold ? new Piece(snapshot.hold) : null,
+            canHold: true,
+            actionText: ''
+        });
+
+        if (score) score.textContent = (snapshot ? snapshot.score : 0).toString().padStart(6, '0');
+        if (lines) lines.textContent = (snapshot ? snapshot.lines : 0).toString();
+        updateGarbageMeter(garbageMeter, snapshot ? snapshot.incoming : 0);
+    }
+
+    showWinner(won, result, opponentResult) {
+        const { winnerScreen, winnerTitle, winnerDetails } = this.elements;
+        if (!winnerScreen) return;
+
+        winnerTitle.textContent = won ? 'You win!' : 'You lose';
+        renderResultComparison(winnerDetails, this.game.engine.mode, [
+            { name: 'You', result },
+            { name: 'Opponent', result: opponentResult }
+        ]);
+        winnerScreen.classList.remove('hidden');
+    }
+
+    hideWinner() {
+        if (this.elements.winnerScreen) {
+            this.elements.winnerScreen.classList.add('hidden');
+        }
+    }
+
+    showStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    /**
+     * Enable the lobby controls that make sense right now
+     */
+    updateUI() {
+        const { roomCode, roomInput, createButton, joinButton, readyButton, leaveButton } = this.elements;
+        const connected = this.client.connected;
+        const inRoom = connected && this.client.room !== null;
+        const playing = this.session.playing;
+
+        if (roomCode) roomCode.textContent = inRoom ? this.client.room : '----';
+        [createButton, joinButton, roomInput].forEach(element => {
+            if (element) element.disabled = !connected || inRoom;
+        });
+        if (readyButton) readyButton.disabled = !inRoom || playing;
+        if (leaveButton) leaveButton.disabled = !inRoom;
+    }
+
+    destroy() {
+        this.client.disconnect();
+        this.game.destroy();
+    }
+}
\ No newline at end of file
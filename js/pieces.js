@@ -1,6 +1,7 @@
 /**
  * Tetromino piece definitions and utilities
- * SRS (Super Rotation System) compliant
+ * SRS (Super Rotation System) compliant: J, L, S, T and Z rotate in a 3x3 box,
+ * I in a 4x4 box and O does not change when rotated
  */
 
 export const PIECES = {
@@ -16,60 +17,53 @@ export const PIECES = {
     },
     O: {
         shape: [
-            [0, 1, 1, 0],
-            [0, 1, 1, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
+            [1, 1],
+            [1, 1]
         ],
         color: '#ffff00', // 黄色
         spawn: { x: 4, y: 0 }
     },
     T: {
         shape: [
-            [0, 1, 0, 0],
-            [1, 1, 1, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
+            [0, 1, 0],
+            [1, 1, 1],
+            [0, 0, 0]
         ],
         color: '#aa00ff', // 紫
         spawn: { x: 3, y: 0 }
     },
     S: {
         shape: [
-            [0, 1, 1, 0],
-            [1, 1, 0, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
+            [0, 1, 1],
+            [1, 1, 0],
+            [0, 0, 0]
         ],
         color: '#00ff00', // 緑
         spawn: { x: 3, y: 0 }
     },
     Z: {
         shape: [
-            [1, 1, 0, 0],
-            [0, 1, 1, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
+            [1, 1, 0],
+            [0, 1, 1],
+            [0, 0, 0]
         ],
         color: '#ff0000', // 赤
         spawn: { x: 3, y: 0 }
     },
     J: {
         shape: [
-            [1, 0, 0, 0],
-            [1, 1, 1, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
+            [1, 0, 0],
+            [1, 1, 1],
+            [0, 0, 0]
         ],
         color: '#0000ff', // 青
         spawn: { x: 3, y: 0 }
     },
     L: {
         shape: [
-            [0, 0, 1, 0],
-            [1, 1, 1, 0],
-            [0, 0, 0, 0],
-            [0, 0, 0, 0]
+            [0, 0, 1],
+            [1, 1, 1],
+            [0, 0, 0]
         ],
         color: '#ff7f00', // オレンジ
         spawn: { x: 3, y: 0 }
@@ -93,34 +87,39 @@ export class Piece {
     }
 
     /**
-     * Get a random piece type
+     * Rotate the piece: 1 = 90 degrees clockwise, -1 = counter-clockwise, 2 = 180 degrees
      */
-    static getRandomType() {
-        return PIECE_TYPES[Math.floor(Math.random() * PIECE_TYPES.length)];
+    rotate(direction = 1) {
+        const turns = ((direction % 4) + 4) % 4;
+        
+        for (let turn = 0; turn < turns; turn++) {
+            this.shape = this.rotateShapeClockwise(this.shape);
+        }
+        
+        this.rotation = (this.rotation + turns) % 4;
     }
 
     /**
-     * Rotate the piece 90 degrees clockwise
+     * Rotate a shape matrix 90 degrees clockwise
      */
-    rotate() {
-        const size = this.shape.length;
+    rotateShapeClockwise(shape) {
+        const size = shape.length;
         const rotated = Array(size).fill().map(() => Array(size).fill(0));
         
         for (let y = 0; y < size; y++) {
             for (let x = 0; x < size; x++) {
-                rotated[x][size - 1 - y] = this.shape[y][x];
+                rotated[x][size - 1 - y] = shape[y][x];
             }
         }
         
-        this.shape = rotated;
-        this.rotation = (this.rotation + 1) % 4;
+        return rotated;
     }
 
     /**
-     * Get wall kick offsets for SRS
+     * Get wall kick offsets for SRS, converted to the board's y-down coordinates
      */
     getWallKickOffsets(from, to) {
-        // Standard SRS wall kick data
+        // Standard SRS wall kick data (y-up, as published)
         const wallKickData = {
             'I': {
                 '0->1': [[-2, 0], [1, 0], [-2, -1], [1, 2]],
@@ -141,16 +140,31 @@ export class Piece {
                 '3->2': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
                 '3->0': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
                 '0->3': [[1, 0], [1, 1], [0, -2], [1, -2]]
+            },
+            // 180 degree kicks (SRS+ style), shared by every piece except O
+            '180': {
+                '0->2': [[0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+                '1->3': [[1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+                '2->0': [[0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+                '3->1': [[-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
             }
         };
 
         const key = `${from}->${to}`;
-        if (this.type === 'I') {
-            return wallKickData.I[key] || [[0, 0]];
-        } else if (this.type !== 'O') {
-            return wallKickData.JLSTZ[key] || [[0, 0]];
+        let kicks = [[0, 0]]; // O piece doesn't need wall kicks
+        
+        if (this.type === 'O') {
+            return kicks;
+        } else if (Math.abs(to - from) === 2) {
+            kicks = wallKickData['180'][key] || kicks;
+        } else if (this.type === 'I') {
+            kicks = wallKickData.I[key] || kicks;
+        } else {
+            kicks = wallKickData.JLSTZ[key] || kicks;
         }
-        return [[0, 0]]; // O piece doesn't need wall kicks
+        
+        // The board's y axis points down, so flip the published y offsets
+        return kicks.map(([dx, dy]) => [dx, -dy]);
     }
 
     /**
@@ -200,4 +214,203 @@ export class Piece {
         
         return { minX, maxX, minY, maxY };
     }
+}
+
+/**
+ * Rotate a copy of a piece on a board with SRS wall kicks; returns
+ * { piece, kickIndex } (0 = no kick) or null if every test is blocked
+ */
+export function getRotatedPiece(board, piece, direction) {
+    const rotated = piece.copy();
+    rotated.rotate(direction);
+
+    // Try basic rotation first
+    if (board.canPlacePiece(rotated)) {
+        return { piece: rotated, kickIndex: 0 };
+    }
+
+    // Try wall kicks (SRS)
+    const wallKicks = rotated.getWallKickOffsets(piece.rotation, rotated.rotation);
+    for (let i = 0; i < wallKicks.length; i++) {
+        const [dx, dy] = wallKicks[i];
+        if (board.canPlacePiece(rotated, dx, dy)) {
+            rotated.x += dx;
+            rotated.y += dy;
+            return { piece: rotated, kickIndex: i + 1 };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Generate a random 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Get the next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Get the next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Get the generator state (to continue the sequence later with setState)
+     */
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+/**
+ * Bag randomizer: deals every piece type `copies` times per shuffled bag
+ * (7-bag with one copy, 14-bag with two)
+ */
+export class BagRandomizer {
+    constructor(rng, copies = 1) {
+        this.rng = rng;
+        this.copies = copies;
+        this.bag = [];
+    }
+
+    next() {
+        if (this.bag.length === 0) {
+            for (let i = 0; i < this.copies; i++) {
+                this.bag.push(...PIECE_TYPES);
+            }
+            this.rng.shuffle(this.bag);
+        }
+        return this.bag.shift();
+    }
+
+    getState() {
+        return { rng: this.rng.getState(), bag: [...this.bag] };
+    }
+
+    setState(state) {
+        this.rng.setState(state.rng);
+        this.bag = [...state.bag];
+    }
+}
+
+/**
+ * Pure random: each piece is drawn independently
+ */
+export class PureRandomizer {
+    constructor(rng) {
+        this.rng = rng;
+    }
+
+    next() {
+        return PIECE_TYPES[this.rng.nextInt(PIECE_TYPES.length)];
+    }
+
+    getState() {
+        return { rng: this.rng.getState() };
+    }
+
+    setState(state) {
+        this.rng.setState(state.rng);
+    }
+}
+
+/**
+ * TGM-style history randomizer: rerolls up to `rolls` times while the
+ * drawn piece is in the recent history. The first piece is never S, Z or O.
+ */
+export class HistoryRandomizer {
+    constructor(rng, rolls = 6, history = ['Z', 'S', 'S', 'Z']) {
+        this.rng = rng;
+        this.rolls = rolls;
+        this.history = [...history];
+        this.isFirst = true;
+    }
+
+    next() {
+        let type;
+
+        if (this.isFirst) {
+            const firstTypes = ['I', 'J', 'L', 'T'];
+            type = firstTypes[this.rng.nextInt(firstTypes.length)];
+            this.isFirst = false;
+        } else {
+            for (let roll = 0; roll < this.rolls; roll++) {
+                type = PIECE_TYPES[this.rng.nextInt(PIECE_TYPES.length)];
+                if (!this.history.includes(type)) break;
+            }
+        }
+
+        this.history.shift();
+        this.history.push(type);
+        return type;
+    }
+
+    getState() {
+        return { rng: this.rng.getState(), history: [...this.history], isFirst: this.isFirst };
+    }
+
+    setState(state) {
+        this.rng.setState(state.rng);
+        this.history = [...state.history];
+        this.isFirst = state.isFirst;
+    }
+}
+
+export const RANDOMIZERS = {
+    '7bag': rng => new BagRandomizer(rng, 1),
+    '14bag': rng => new BagRandomizer(rng, 2),
+    'random': rng => new PureRandomizer(rng),
+    'history': rng => new HistoryRandomizer(rng)
+};
+
+/**
+ * Create a randomizer of the given type from a seed
+ */
+export function createRandomizer(type = '7bag', seed = SeededRandom.generateSeed()) {
+    if (!Object.hasOwn(RANDOMIZERS, type)) {
+        throw new Error(`Unknown randomizer type: ${type}`);
+    }
+
+    const randomizer = RANDOMIZERS[type](new SeededRandom(seed));
+    randomizer.type = type;
+    randomizer.seed = seed >>> 0;
+    return randomizer;
 }
\ No newline at end of file
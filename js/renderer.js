@@ -3,11 +3,13 @@
  */
 
 export class Renderer {
-    constructor(gameCanvas, nextCanvas) {
+    constructor(gameCanvas, nextCanvas, holdCanvas) {
         this.gameCanvas = gameCanvas;
         this.nextCanvas = nextCanvas;
+        this.holdCanvas = holdCanvas;
         this.gameCtx = gameCanvas.getContext('2d');
         this.nextCtx = nextCanvas.getContext('2d');
+        this.holdCtx = holdCanvas.getContext('2d');
         
         // Grid settings
         this.CELL_SIZE = 30;
@@ -15,11 +17,16 @@ export class Renderer {
         
         // Next piece canvas settings
         this.NEXT_CELL_SIZE = 20;
+        this.NEXT_SLOT_HEIGHT = 80;   // first preview (larger)
+        this.QUEUE_CELL_SIZE = 14;
+        this.QUEUE_SLOT_HEIGHT = 48;  // following previews
         
         // Colors
         this.GRID_COLOR = '#333';
         this.GHOST_ALPHA = 0.3;
         this.FLASH_COLOR = '#ffffff';
+        this.TARGET_COLOR = '#ffffff';
+        this.HOLD_DISABLED_COLOR = '#666666';
         
         this.setupCanvas();
     }
@@ -32,6 +39,10 @@ export class Renderer {
         // Set up next piece canvas
         this.nextCtx.imageSmoothingEnabled = false;
         this.nextCtx.lineWidth = 1;
+        
+        // Set up hold piece canvas
+        this.holdCtx.imageSmoothingEnabled = false;
+        this.holdCtx.lineWidth = 1;
     }
 
     /**
@@ -41,11 +52,14 @@ export class Renderer {
         this.clearGameCanvas();
         this.drawGrid();
         this.drawBoard(gameState.board);
+        this.drawTarget(gameState.target);
         this.drawGhostPiece(gameState.currentPiece, gameState.board);
         this.drawPiece(gameState.currentPiece);
         this.drawFlashingLines(gameState.board);
+        this.drawActionText(gameState.actionText);
         
-        this.renderNextPiece(gameState.nextPiece);
+        this.renderNextQueue(gameState.nextQueue);
+        this.renderHoldPiece(gameState.heldPiece, gameState.canHold);
     }
 
     /**
@@ -152,6 +166,19 @@ export class Renderer {
         });
     }
 
+    /**
+     * Outline a target placement (finesse trainer)
+     */
+    drawTarget(piece) {
+        if (!piece) return;
+        
+        this.gameCtx.strokeStyle = this.TARGET_COLOR;
+        this.gameCtx.lineWidth = 2;
+        piece.getOccupiedPositions().forEach(pos => {
+            this.gameCtx.strokeRect(pos.x * this.CELL_SIZE + 3, pos.y * this.CELL_SIZE + 3, this.CELL_SIZE - 6, this.CELL_SIZE - 6);
+        });
+    }
+
     /**
      * Draw flashing lines
      */
@@ -166,45 +193,96 @@ export class Renderer {
     }
 
     /**
-     * Render the next piece
+     * Draw the last clear label (e.g. "T-SPIN DOUBLE") at the top of the playfield
      */
-    renderNextPiece(piece) {
-        this.clearNextCanvas();
+    drawActionText(text) {
+        if (!text) return;
+        
+        this.gameCtx.font = 'bold 20px Arial';
+        this.gameCtx.textAlign = 'center';
+        this.gameCtx.textBaseline = 'middle';
+        this.gameCtx.lineWidth = 4;
+        this.gameCtx.strokeStyle = '#000000';
+        this.gameCtx.strokeText(text, this.gameCanvas.width / 2, this.CELL_SIZE * 3);
+        this.gameCtx.fillStyle = '#ffffff';
+        this.gameCtx.fillText(text, this.gameCanvas.width / 2, this.CELL_SIZE * 3);
+    }
+
+    /**
+     * Render the next queue as stacked previews, the first one larger
+     */
+    renderNextQueue(pieces) {
+        const height = this.NEXT_SLOT_HEIGHT + Math.max(0, pieces.length - 1) * this.QUEUE_SLOT_HEIGHT;
+        if (this.nextCanvas.height !== height) {
+            this.nextCanvas.height = height;
+            this.nextCtx.imageSmoothingEnabled = false;
+        }
+        
+        this.clearPreviewCanvas(this.nextCtx, this.nextCanvas);
+        
+        pieces.forEach((piece, index) => {
+            const isFirst = index === 0;
+            const area = {
+                x: 0,
+                y: isFirst ? 0 : this.NEXT_SLOT_HEIGHT + (index - 1) * this.QUEUE_SLOT_HEIGHT,
+                width: this.nextCanvas.width,
+                height: isFirst ? this.NEXT_SLOT_HEIGHT : this.QUEUE_SLOT_HEIGHT
+            };
+            const cellSize = isFirst ? this.NEXT_CELL_SIZE : this.QUEUE_CELL_SIZE;
+            
+            this.drawPreviewPiece(this.nextCtx, area, cellSize, piece, piece.color);
+        });
+    }
+
+    /**
+     * Render the hold piece (greyed out while hold is unavailable)
+     */
+    renderHoldPiece(piece, canHold) {
+        this.clearPreviewCanvas(this.holdCtx, this.holdCanvas);
         
         if (!piece) return;
         
+        const color = canHold ? piece.color : this.HOLD_DISABLED_COLOR;
+        const area = { x: 0, y: 0, width: this.holdCanvas.width, height: this.holdCanvas.height };
+        this.drawPreviewPiece(this.holdCtx, area, this.NEXT_CELL_SIZE, piece, color);
+    }
+
+    /**
+     * Draw a piece centered within an area of a preview canvas
+     */
+    drawPreviewPiece(ctx, area, cellSize, piece, color) {
         // Get piece bounds for centering
         const bounds = piece.getBounds();
         const pieceWidth = bounds.maxX - bounds.minX + 1;
         const pieceHeight = bounds.maxY - bounds.minY + 1;
         
-        const offsetX = Math.floor((6 - pieceWidth) / 2) - bounds.minX;
-        const offsetY = Math.floor((6 - pieceHeight) / 2) - bounds.minY;
+        const offsetX = area.x + Math.floor((area.width - pieceWidth * cellSize) / 2) - bounds.minX * cellSize;
+        const offsetY = area.y + Math.floor((area.height - pieceHeight * cellSize) / 2) - bounds.minY * cellSize;
         
         for (let y = 0; y < piece.shape.length; y++) {
             for (let x = 0; x < piece.shape[y].length; x++) {
                 if (piece.shape[y][x]) {
-                    const drawX = (x + offsetX) * this.NEXT_CELL_SIZE;
-                    const drawY = (y + offsetY) * this.NEXT_CELL_SIZE;
+                    const drawX = offsetX + x * cellSize;
+                    const drawY = offsetY + y * cellSize;
                     
-                    this.nextCtx.fillStyle = piece.color;
-                    this.nextCtx.fillRect(drawX, drawY, this.NEXT_CELL_SIZE - 1, this.NEXT_CELL_SIZE - 1);
+                    ctx.fillStyle = color;
+                    ctx.fillRect(drawX, drawY, cellSize - 1, cellSize - 1);
                     
                     // Border
-                    this.nextCtx.strokeStyle = this.lightenColor(piece.color, 20);
-                    this.nextCtx.lineWidth = 1;
-                    this.nextCtx.strokeRect(drawX, drawY, this.NEXT_CELL_SIZE - 1, this.NEXT_CELL_SIZE - 1);
+                    ctx.strokeStyle = this.lightenColor(color, 20);
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(drawX, drawY, cellSize - 1, cellSize - 1);
                 }
             }
         }
     }
 
     /**
-     * Clear the next piece canvas
+     * Clear a preview canvas
      */
-    clearNextCanvas() {
-        this.nextCtx.fillStyle = '#000000';
-        this.nextCtx.fillRect(0, 0, this.nextCanvas.width, this.nextCanvas.height);
+    clearPreviewCanvas(ctx, canvas) {
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
     }
 
     /**
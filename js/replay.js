@@ -0,0 +1,361 @@
+/**
+ * Deterministic replays: seed + game setup + a frame-stamped action log
+ *
+ * The game runs in fixed frames, so applying the recorded presses and
+ * releases at the same frames to a game with the same seed reproduces it
+ * exactly.
+ */
+
+import { RANDOMIZERS } from './pieces.js';
+import { MODES } from './modes.js';
+import { SCORING_RULES } from './scoring.js';
+import { LOCK_RESET_POLICIES } from './settings.js';
+import { checkPosition, copyText } from './editor.js';
+
+// Version 2: lock delay reset policies (lockReset in the setup)
+// Version 3: scoring rules (scoring in the setup)
+export const REPLAY_VERSION = 3;
+
+// Version 1 replays predate the policies; their unlimited move resets are
+// closest to 'move' (they may still diverge, which playback reports)
+const V1_LOCK_RESET = 'move';
+
+// Version 2 replays were all scored with the guideline rules
+const V2_SCORING = 'guideline';
+
+// Event types
+export const ACTION_RELEASE = 0;
+export const ACTION_PRESS = 1;
+export const ACTION_HOLD_ONLY = 2; // pressed while paused: held state only
+
+// Index in this list is the action's code in the replay file; append only
+const REPLAY_ACTIONS = [
+    'moveLeft', 'moveRight', 'softDrop', 'hardDrop',
+    'rotateCW', 'rotateCCW', 'rotate180', 'hold'
+];
+
+/**
+ * Records the action log of the game being played.
+ * Events are stored flat as [frameDelta, code, frameDelta, code, ...] where
+ * code = actionIndex * 3 + eventType.
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+        this.isRecording = false;
+        this.lastFrame = 0;
+    }
+
+    /**
+     * Start a new recording with the game setup (seed, randomizer, handling...)
+     */
+    start(setup) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            ...setup,
+            date: new Date().toISOString(),
+            frames: 0,
+            events: []
+        };
+        this.isRecording = true;
+        this.lastFrame = 0;
+    }
+
+    record(frame, action, type) {
+        if (!this.isRecording) return;
+
+        const index = REPLAY_ACTIONS.indexOf(action);
+        if (index === -1) return;
+
+        this.replay.events.push(frame - this.lastFrame, index * 3 + type);
+        this.lastFrame = frame;
+    }
+
+    /**
+     * Stop recording and store the final result
+     */
+    finish(frame, result) {
+        if (!this.isRecording) return;
+
+        Object.assign(this.replay, result, { frames: frame });
+        this.isRecording = false;
+    }
+
+    /**
+     * Get the recorder state for a saved game (restored with setState)
+     */
+    getState() {
+        return {
+            replay: this.replay ? { ...this.replay, events: [...this.replay.events] } : null,
+            isRecording: this.isRecording,
+            lastFrame: this.lastFrame
+        };
+    }
+
+    setState(state) {
+        this.replay = state.replay ? { ...state.replay, events: [...state.replay.events] } : null;
+        this.isRecording = state.isRecording;
+        this.lastFrame = state.lastFrame;
+    }
+
+    /**
+     * Get the recording (a copy, with the length so far if still recording)
+     */
+    getReplay(frame) {
+        if (!this.replay) return null;
+
+        const replay = { ...this.replay, events: [...this.replay.events] };
+        if (this.isRecording) {
+            replay.frames = frame;
+        }
+        return replay;
+    }
+}
+
+/**
+ * Feeds a replay's events into the game frame by frame
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.events = [];
+        this.index = 0;
+
+        let frame = 0;
+        for (let i = 0; i < replay.events.length; i += 2) {
+            frame += replay.events[i];
+            const code = replay.events[i + 1];
+            this.events.push({
+                frame,
+                action: REPLAY_ACTIONS[Math.floor(code / 3)],
+                type: code % 3
+            });
+        }
+    }
+
+    get totalFrames() {
+        return this.replay.frames;
+    }
+
+    reset() {
+        this.index = 0;
+    }
+
+    /**
+     * Apply every event recorded before the game's next frame
+     */
+    applyEvents(game) {
+        while (this.index < this.events.length && this.events[this.index].frame <= game.frame) {
+            const event = this.events[this.index];
+            this.index++;
+            game.applyActionEvent(event.action, event.type);
+        }
+    }
+
+    isFinished(game) {
+        return game.isGameOver || game.frame >= this.totalFrames;
+    }
+
+    /**
+     * Check the replayed game against the recorded result
+     */
+    matchesResult(game) {
+        return this.replay.score === undefined ||
+            (game.score === this.replay.score && game.lines === this.replay.lines);
+    }
+}
+
+/**
+ * Serialize a replay as compact JSON
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Bring a replay from an older version up to date, giving the setup fields
+ * it predates the behaviour games had then
+ */
+function upgradeReplay(replay) {
+    let upgraded = replay;
+    if (upgraded && upgraded.version === 1) {
+        upgraded = { ...upgraded, version: 2, lockReset: V1_LOCK_RESET };
+    }
+    if (upgraded && upgraded.version === 2) {
+        upgraded = { ...upgraded, version: 3, scoring: V2_SCORING };
+    }
+    return upgraded;
+}
+
+/**
+ * Parse and validate a replay file
+ */
+export function parseReplay(text) {
+    const replay = upgradeReplay(JSON.parse(text));
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+    if (!Number.isInteger(replay.seed) || !Object.hasOwn(RANDOMIZERS, replay.randomizer)) {
+        throw new Error('Replay has an invalid seed or randomizer');
+    }
+    if (!Array.isArray(replay.events) || replay.events.length % 2 !== 0 ||
+        !replay.events.every(value => Number.isInteger(value) && value >= 0)) {
+        throw new Error('Replay has an invalid event log');
+    }
+    if (replay.mode !== undefined && !Object.hasOwn(MODES, replay.mode)) {
+        throw new Error(`Replay uses an unknown game mode: ${replay.mode}`);
+    }
+    if (!Object.hasOwn(SCORING_RULES, replay.scoring)) {
+        throw new Error(`Replay uses unknown scoring rules: ${replay.scoring}`);
+    }
+    if (replay.startPosition) {
+        checkPosition(replay.startPosition);
+    }
+    if (!Number.isInteger(replay.frames) || !replay.handling) {
+        throw new Error('Replay is missing its length or handling settings');
+    }
+    if (!LOCK_RESET_POLICIES.includes(replay.lockReset)) {
+        throw new Error(`Replay uses an unknown lock delay policy: ${replay.lockReset}`);
+    }
+
+    return replay;
+}
+
+/**
+ * Format a frame count as m:ss.cc
+ */
+export function formatFrames(frames, frameDuration = 1000 / 60) {
+    const totalCentiseconds = Math.floor(frames * frameDuration / 10);
+    const minutes = Math.floor(totalCentiseconds / 6000);
+    const seconds = Math.floor(totalCentiseconds / 100) % 60;
+    const centiseconds = totalCentiseconds % 100;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Replay panel: export/import and playback controls (play, pause, speed, seek)
+ */
+export class ReplayControls {
+    constructor(game, elements) {
+        this.game = game;
+        this.elements = elements;
+        this.loadedReplay = null;
+
+        this.elements.exportButton.addEventListener('click', () => this.exportReplay());
+        this.elements.importInput.addEventListener('change', () => this.importReplay());
+        if (this.elements.fumenButton) {
+            this.elements.fumenButton.addEventListener('click', () => this.exportFumen());
+        }
+        this.elements.playButton.addEventListener('click', () => this.togglePlayback());
+        this.elements.exitButton.addEventListener('click', () => this.game.stopReplay());
+        this.elements.speedSelect.addEventListener('change', () => {
+            this.game.playbackSpeed = parseFloat(this.elements.speedSelect.value);
+        });
+        this.elements.seekInput.addEventListener('input', () => {
+            this.game.seekReplay(parseInt(this.elements.seekInput.value, 10));
+        });
+
+        this.update();
+    }
+
+    /**
+     * Download the current or last recorded game as a JSON file
+     */
+    exportReplay() {
+        const replay = this.game.replayPlayer ? this.game.replayPlayer.replay : this.game.getRecordedReplay();
+        if (!replay) {
+            this.showStatus('Nothing recorded yet');
+            return;
+        }
+
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `tetris-replay-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Copy the current or last recorded game as a fumen diagram, a page per
+     * placed piece (shown in the status line when the clipboard is not
+     * available)
+     */
+    async exportFumen() {
+        const replay = this.game.replayPlayer ? this.game.replayPlayer.replay : this.game.getRecordedReplay();
+        const fumen = replay ? this.game.getReplayFumen(replay) : null;
+        if (!fumen) {
+            this.showStatus('No pieces placed yet');
+            return;
+        }
+
+        this.showStatus(await copyText(fumen) ? 'Fumen copied' : fumen);
+    }
+
+    /**
+     * Load a replay file and start playing it
+     */
+    async importReplay() {
+        const file = this.elements.importInput.files[0];
+        if (!file) return;
+
+        try {
+            this.loadedReplay = parseReplay(await file.text());
+            this.game.startReplay(this.loadedReplay);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.showStatus(`Invalid replay: ${error.message}`);
+        }
+
+        this.elements.importInput.value = '';
+    }
+
+    /**
+     * Play/pause the replay, starting the last recorded game if none is loaded
+     */
+    togglePlayback() {
+        if (this.game.replayPlayer) {
+            if (this.game.isRunning) {
+                this.game.togglePause();
+            } else {
+                this.game.startReplay(this.game.replayPlayer.replay);
+            }
+            return;
+        }
+
+        const replay = this.loadedReplay || this.game.getRecordedReplay();
+        if (replay) {
+            this.game.startReplay(replay);
+        } else {
+            this.showStatus('Nothing recorded yet');
+        }
+    }
+
+    /**
+     * Sync the controls with the game state
+     */
+    update() {
+        const player = this.game.replayPlayer;
+        const isPlaying = player && this.game.isRunning && !this.game.isPaused;
+
+        this.elements.playButton.textContent = isPlaying ? 'Pause' : 'Play';
+        this.elements.exitButton.disabled = !player;
+        this.elements.seekInput.disabled = !player;
+
+        if (player) {
+            this.elements.seekInput.max = player.totalFrames.toString();
+            this.elements.seekInput.value = this.game.frame.toString();
+            let status = `${formatFrames(this.game.frame)} / ${formatFrames(player.totalFrames)}`;
+            if (this.game.isGameOver) {
+                // Check the replayed game reproduced the recorded one
+                status += player.matchesResult(this.game.engine) ? ' - result reproduced' : ' - result diverged';
+            }
+            this.showStatus(status);
+        }
+    }
+
+    showStatus(text) {
+        this.elements.status.textContent = text;
+    }
+}
\ No newline at end of file
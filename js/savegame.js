@@ -0,0 +1,101 @@
+/**
+ * Saved game in progress
+ *
+ * The game is saved to localStorage (on pause, when the tab is hidden and
+ * when the page unloads) so it can be continued after a reload. There is a
+ * single slot; it is cleared when the game ends or a new one starts.
+ */
+
+import { GameBoard } from './board.js';
+import { RANDOMIZERS, PIECE_TYPES } from './pieces.js';
+import { MODES } from './modes.js';
+import { LOCK_RESET_POLICIES } from './settings.js';
+import { SCORING_RULES } from './scoring.js';
+
+export const SAVE_VERSION = 3;
+
+const NUMBER_FIELDS = [
+    'seed', 'score', 'lines', 'level', 'combo', 'softDropCells', 'hardDropCells', 'frame', 'entryDelay',
+    'shiftDirection', 'entryTimer', 'dropTimer', 'dropInterval', 'lockTimer', 'lockResets', 'lowestRow', 'lineFlashTimer'
+];
+
+function isPieceType(type) {
+    return PIECE_TYPES.includes(type);
+}
+
+/**
+ * Parse and validate a saved game
+ */
+export function parseSavedGame(text) {
+    const save = JSON.parse(text);
+
+    if (!save || save.version !== SAVE_VERSION || !save.engine) {
+        throw new Error('Unsupported saved game version');
+    }
+
+    const state = save.engine;
+    if (!Object.hasOwn(RANDOMIZERS, state.randomizer) || !Object.hasOwn(MODES, state.mode) ||
+        !LOCK_RESET_POLICIES.includes(state.lockReset) || !Object.hasOwn(SCORING_RULES, state.scoring)) {
+        throw new Error('Saved game has an unknown randomizer, mode, lock delay policy or scoring rules');
+    }
+    if (!NUMBER_FIELDS.every(field => Number.isFinite(state[field]))) {
+        throw new Error('Saved game is missing its score or timers');
+    }
+    const { width, height } = new GameBoard();
+    if (!Array.isArray(state.grid) || state.grid.length !== height ||
+        !state.grid.every(row => Array.isArray(row) && row.length === width)) {
+        throw new Error('Saved game has an invalid board');
+    }
+    if (!Array.isArray(state.nextQueue) || !state.nextQueue.every(isPieceType) ||
+        (state.heldPiece !== null && !isPieceType(state.heldPiece)) ||
+        (state.currentPiece !== null && !isPieceType(state.currentPiece && state.currentPiece.type))) {
+        throw new Error('Saved game has invalid pieces');
+    }
+    if (!state.randomizerState || !state.scoringState || !state.recorder || !state.handling || !Array.isArray(state.heldActions)) {
+        throw new Error('Saved game is incomplete');
+    }
+
+    return save;
+}
+
+export class SaveGameStore {
+    constructor(storageKey = 'tetris.savedGame') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Save a game: { engine: engine.getState(), ...shell state }
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: SAVE_VERSION, date: new Date().toISOString(), ...data }));
+        } catch (error) {
+            console.warn('Failed to save the game:', error);
+        }
+    }
+
+    /**
+     * Load the saved game, or null if there is none (or it is unreadable)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? parseSavedGame(saved) : null;
+        } catch (error) {
+            console.warn('Failed to load the saved game:', error);
+            return null;
+        }
+    }
+
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Failed to clear the saved game:', error);
+        }
+    }
+}
\ No newline at end of file
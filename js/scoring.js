@@ -0,0 +1,215 @@
+/**
+ * Scoring rules
+ *
+ * How clears and drops turn into points. The engine keeps the game state
+ * (level, combo, back-to-back chain, perfect clears) and asks the rules of
+ * the game for the points; each preset follows the scoring of one family of
+ * games:
+ *   guideline - modern guideline tables with T-spins, combos, back-to-back
+ *               and perfect clear bonuses
+ *   nes       - the NES line table, with points for soft drops only
+ *   tgm       - TGM-style points from level, drops and combos, with a grade
+ *               from the final score
+ * The rules are fixed for the length of a game and recorded with replays.
+ */
+
+export const DEFAULT_SCORING = 'guideline';
+
+const BACK_TO_BACK_MULTIPLIER = 1.5;
+
+// Guideline points by lines cleared (times the level)
+const GUIDELINE_LINE_POINTS = [0, 100, 300, 500, 800];
+const GUIDELINE_TSPIN_POINTS = {
+    full: [400, 800, 1200, 1600], // T-spin zero, single, double, triple
+    mini: [100, 200, 400]         // T-spin mini zero, single, double
+};
+const GUIDELINE_PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+const GUIDELINE_B2B_TETRIS_PERFECT_CLEAR_POINTS = 3200;
+
+const NES_LINE_POINTS = [0, 40, 100, 300, 1200];
+
+// TGM grades and the score each one needs, lowest first
+const TGM_GRADES = [
+    ['9', 0], ['8', 400], ['7', 800], ['6', 1400], ['5', 2000], ['4', 3500],
+    ['3', 5500], ['2', 8000], ['1', 12000], ['S1', 16000], ['S2', 22000],
+    ['S3', 30000], ['S4', 40000], ['S5', 52000], ['S6', 66000], ['S7', 82000],
+    ['S8', 100000], ['S9', 120000]
+];
+const TGM_BRAVO_MULTIPLIER = 4;
+
+/**
+ * Whether a clear keeps a back-to-back chain going (tetrises and T-spins
+ * that clear lines); other line clears break it
+ */
+export function isDifficultClear(linesCleared, tSpin) {
+    return linesCleared === 4 || (tSpin !== null && linesCleared > 0);
+}
+
+/**
+ * Base rules: guideline scoring
+ */
+export class ScoringRules {
+    constructor() {
+        this.softDropPoints = 1; // points per cell
+        this.hardDropPoints = 2; // points per cell
+    }
+
+    /**
+     * Called when a new game starts
+     */
+    reset() {}
+
+    /**
+     * Points for a clear: { linesCleared, tSpin, level, combo (clears in a
+     * row, this one included), backToBack, perfectClear, softDropCells,
+     * hardDropCells (dropped by the piece that cleared) }
+     */
+    getClearPoints(clear) {
+        const { linesCleared, tSpin, level, combo, backToBack, perfectClear } = clear;
+        const table = tSpin ? GUIDELINE_TSPIN_POINTS[tSpin] : GUIDELINE_LINE_POINTS;
+        let points = (table[linesCleared] || 0) * level;
+
+        if (backToBack) {
+            points = Math.floor(points * BACK_TO_BACK_MULTIPLIER);
+        }
+        if (combo > 1) {
+            points += 50 * (combo - 1) * level;
+        }
+        if (perfectClear) {
+            const bonus = backToBack && linesCleared === 4 ?
+                GUIDELINE_B2B_TETRIS_PERFECT_CLEAR_POINTS : GUIDELINE_PERFECT_CLEAR_POINTS[linesCleared];
+            points += bonus * level;
+        }
+
+        return points;
+    }
+
+    /**
+     * Called after every lock, with or without lines
+     */
+    onPieceLocked(linesCleared) {}
+
+    /**
+     * State to keep when a game is saved (restored with setState)
+     */
+    getState() {
+        return {};
+    }
+
+    setState(state) {}
+
+    /**
+     * Rule-specific fields added to the game result
+     */
+    getResult(engine) {
+        return {};
+    }
+
+    /**
+     * Extra rows for the results screen as [label, value] pairs
+     */
+    getResultRows(result) {
+        return [];
+    }
+}
+
+export class GuidelineScoring extends ScoringRules {}
+
+/**
+ * NES: the classic line table; no hard drop points, and T-spins, combos and
+ * perfect clears score as plain line clears
+ */
+export class NESScoring extends ScoringRules {
+    constructor() {
+        super();
+        this.hardDropPoints = 0;
+    }
+
+    getClearPoints({ linesCleared, level }) {
+        return NES_LINE_POINTS[linesCleared] * level;
+    }
+}
+
+/**
+ * TGM-style: (ceil((level + lines) / 4) + soft drop cells + 2 * hard drop
+ * cells) * lines * combo, four times that for a perfect clear ("bravo").
+ * The combo multiplier grows by 2 * lines - 2 with each clear and goes
+ * back to 1 when a piece locks without clearing. Drops score nothing on
+ * their own.
+ */
+export class TGMScoring extends ScoringRules {
+    constructor() {
+        super();
+        this.softDropPoints = 0;
+        this.hardDropPoints = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.comboMultiplier = 1;
+    }
+
+    getClearPoints({ linesCleared, level, perfectClear, softDropCells, hardDropCells }) {
+        if (linesCleared === 0) return 0;
+
+        this.comboMultiplier += 2 * linesCleared - 2;
+        const base = Math.ceil((level + linesCleared) / 4) + softDropCells + 2 * hardDropCells;
+
+        return base * linesCleared * this.comboMultiplier * (perfectClear ? TGM_BRAVO_MULTIPLIER : 1);
+    }
+
+    onPieceLocked(linesCleared) {
+        if (linesCleared === 0) {
+            this.comboMultiplier = 1;
+        }
+    }
+
+    getState() {
+        return { comboMultiplier: this.comboMultiplier };
+    }
+
+    setState(state) {
+        this.comboMultiplier = state.comboMultiplier;
+    }
+
+    getResult(engine) {
+        return { grade: getGrade(engine.score) };
+    }
+
+    getResultRows(result) {
+        return [['Grade', result.grade]];
+    }
+}
+
+/**
+ * Get the TGM grade reached with a score
+ */
+export function getGrade(score) {
+    let grade = TGM_GRADES[0][0];
+    TGM_GRADES.forEach(([name, points]) => {
+        if (score >= points) {
+            grade = name;
+        }
+    });
+    return grade;
+}
+
+export const SCORING_RULES = {
+    'guideline': () => new GuidelineScoring(),
+    'nes': () => new NESScoring(),
+    'tgm': () => new TGMScoring()
+};
+
+/**
+ * Create the scoring rules of the given type
+ */
+export function createScoring(type = DEFAULT_SCORING) {
+    const factory = SCORING_RULES[type];
+    if (!factory) {
+        throw new Error(`Unknown scoring rules: ${type}`);
+    }
+
+    const scoring = factory();
+    scoring.type = type;
+    return scoring;
+}
\ No newline at end of file
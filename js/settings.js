@@ -0,0 +1,152 @@
+/**
+ * User settings (handling and display) with localStorage persistence
+ */
+
+import { SCORING_RULES } from './scoring.js';
+import { MODES } from './modes.js';
+
+// Soft drop factor at which soft drop becomes instant
+export const SDF_INSTANT = 41;
+
+// Lock delay reset policies:
+//   classic - the lock delay runs out on the stack whatever the player does
+//   step    - it restarts only when the piece reaches a new lowest row
+//   move    - moves and rotations also restart it, up to MAX_LOCK_RESETS
+//             (engine.js) times until the piece reaches a new lowest row
+//             (guideline)
+export const LOCK_RESET_POLICIES = ['classic', 'step', 'move'];
+
+export const DEFAULT_SETTINGS = {
+    das: 167,             // ms a direction must be held before auto-repeat starts
+    arr: 33,              // ms between auto-repeat moves (0 = instantly to the wall)
+    sdf: 20,              // soft drop speed as a multiple of gravity (SDF_INSTANT = instant)
+    lockReset: 'move',    // lock delay reset policy: 'move', 'step' or 'classic'
+    scoring: 'guideline', // scoring rules: 'guideline', 'nes' or 'tgm'
+    previewCount: 5,      // number of next pieces shown (1-6)
+    gamepadDeadzone: 0.5, // analog stick deflection needed to register a direction
+    touchButtons: false,  // show the on-screen button overlay
+    aiMoveDelay: 100,     // ms between AI inputs (0 = one piece per frame)
+    mode: 'marathon',     // game mode and goal, e.g. 'sprint:40'
+    playerName: 'Player'  // name for new leaderboard entries
+};
+
+// Saved values must pass these checks as well as have the default's type
+const SETTING_CHECKS = {
+    lockReset: value => LOCK_RESET_POLICIES.includes(value),
+    scoring: value => Object.hasOwn(SCORING_RULES, value),
+    mode: value => Object.hasOwn(MODES, value.split(':')[0])
+};
+
+export class Settings {
+    constructor(storageKey = 'tetris.settings', defaults = DEFAULT_SETTINGS) {
+        this.storageKey = storageKey;
+        this.defaults = defaults;
+        this.values = this.load();
+        this.listeners = [];
+    }
+
+    /**
+     * Load settings from localStorage, falling back to the defaults
+     */
+    load() {
+        const values = { ...this.defaults };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                Object.keys(this.defaults).forEach(name => {
+                    const check = SETTING_CHECKS[name] || (() => true);
+                    if (typeof saved[name] === typeof this.defaults[name] && check(saved[name])) {
+                        values[name] = saved[name];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load settings:', error);
+        }
+
+        return values;
+    }
+
+    /**
+     * Save settings to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+        }
+    }
+
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * Change a setting, persist it and notify listeners
+     */
+    set(name, value) {
+        if (this.values[name] === value) return;
+
+        this.values[name] = value;
+        this.save();
+        this.listeners.forEach(listener => listener(name, value));
+    }
+
+    /**
+     * Register a listener called with (name, value) on every change
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+/**
+ * Binds form inputs marked with data-setting="<name>" to a Settings instance.
+ * An <output data-setting-output="<name>"> shows the current value.
+ */
+export class SettingsPanel {
+    constructor(settings, container) {
+        this.settings = settings;
+        this.container = container;
+
+        this.container.querySelectorAll('[data-setting]').forEach(input => {
+            const name = input.dataset.setting;
+            const isCheckbox = input.type === 'checkbox';
+
+            if (isCheckbox) {
+                input.checked = this.settings.get(name);
+            } else {
+                input.value = this.settings.get(name).toString();
+            }
+            this.updateOutput(name);
+
+            input.addEventListener(isCheckbox ? 'change' : 'input', () => {
+                const isText = typeof this.settings.get(name) === 'string';
+                const value = isCheckbox ? input.checked : (isText ? input.value : Number(input.value));
+                if (!Number.isNaN(value)) {
+                    this.settings.set(name, value);
+                    this.updateOutput(name);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the current value next to its input
+     */
+    updateOutput(name) {
+        const output = this.container.querySelector(`[data-setting-output="${name}"]`);
+        if (!output) return;
+
+        const value = this.settings.get(name);
+        if (name === 'sdf') {
+            output.textContent = value >= SDF_INSTANT ? '∞' : `${value}x`;
+        } else if (name === 'das' || name === 'arr' || name === 'aiMoveDelay') {
+            output.textContent = `${value} ms`;
+        } else {
+            output.textContent = value.toString();
+        }
+    }
+}
\ No newline at end of file
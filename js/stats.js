@@ -0,0 +1,113 @@
+/**
+ * Game statistics
+ *
+ * Follows an engine through its events and counts what players use to
+ * measure their speed and efficiency: pieces per second, keys per piece,
+ * attack per minute (with the versus attack table), clear types, the
+ * longest combo and how often each piece was placed. Replays feed the same
+ * events, so their statistics match the original game.
+ */
+
+import { PIECE_TYPES } from './pieces.js';
+import { getAttack } from './garbage.js';
+
+const CLEAR_NAMES = ['Singles', 'Doubles', 'Triples', 'Tetrises'];
+
+export class GameStats {
+    constructor(engine) {
+        this.engine = engine;
+        this.reset();
+
+        engine.on('reset', () => this.reset());
+        engine.on('action', () => this.keys++);
+
+        engine.on('lock', ({ piece }) => {
+            this.pieces++;
+            this.pieceCounts[piece.type]++;
+        });
+
+        engine.on('clear', clear => {
+            this.attack += getAttack(clear);
+            this.maxCombo = Math.max(this.maxCombo, clear.combo - 1);
+
+            if (clear.tSpin) {
+                this.tSpins[clear.tSpin]++;
+            } else if (clear.linesCleared > 0) {
+                this.clears[clear.linesCleared - 1]++;
+            }
+        });
+    }
+
+    reset() {
+        this.pieces = 0;
+        this.keys = 0;
+        this.attack = 0;
+        this.maxCombo = 0;
+        this.clears = [0, 0, 0, 0];
+        this.tSpins = { full: 0, mini: 0 };
+        this.pieceCounts = Object.fromEntries(PIECE_TYPES.map(type => [type, 0]));
+    }
+
+    /**
+     * Counters to keep with a saved game (restored with setState)
+     */
+    getState() {
+        return {
+            pieces: this.pieces,
+            keys: this.keys,
+            attack: this.attack,
+            maxCombo: this.maxCombo,
+            clears: [...this.clears],
+            tSpins: { ...this.tSpins },
+            pieceCounts: { ...this.pieceCounts }
+        };
+    }
+
+    setState(state) {
+        this.reset();
+        Object.assign(this, {
+            ...state,
+            clears: [...state.clears],
+            tSpins: { ...state.tSpins },
+            pieceCounts: { ...this.pieceCounts, ...state.pieceCounts }
+        });
+    }
+
+    getPiecesPerSecond() {
+        const seconds = this.engine.getTime() / 1000;
+        return seconds > 0 ? this.pieces / seconds : 0;
+    }
+
+    getKeysPerPiece() {
+        return this.pieces > 0 ? this.keys / this.pieces : 0;
+    }
+
+    getAttackPerMinute() {
+        const minutes = this.engine.getTime() / 60000;
+        return minutes > 0 ? this.attack / minutes : 0;
+    }
+
+    /**
+     * Statistics as [label, value] rows for display
+     */
+    getRows() {
+        const rows = [
+            ['Pieces', this.pieces.toString()],
+            ['Pieces per second', this.getPiecesPerSecond().toFixed(2)],
+            ['Keys per piece', this.getKeysPerPiece().toFixed(2)],
+            ['Attack per minute', this.getAttackPerMinute().toFixed(1)],
+            ...this.clears.map((count, index) => [CLEAR_NAMES[index], count.toString()]),
+            ['T-spins', this.tSpins.full.toString()],
+            ['T-spin minis', this.tSpins.mini.toString()],
+            ['Max combo', this.maxCombo.toString()]
+        ];
+
+        PIECE_TYPES.forEach(type => {
+            const count = this.pieceCounts[type];
+            const percent = this.pieces > 0 ? Math.round(count / this.pieces * 100) : 0;
+            rows.push([`${type} pieces`, `${count} (${percent}%)`]);
+        });
+
+        return rows;
+    }
+}
\ No newline at end of file
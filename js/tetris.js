@@ -1,438 +1,715 @@
 /**
- * Main Tetris game engine
+ * Browser shell for the Tetris engine
+ *
+ * Owns everything tied to the page: canvases, keyboard/gamepad/touch input,
+ * settings, panels and the requestAnimationFrame loop. The rules themselves
+ * live in TetrisEngine.
+ *
+ * All elements are passed in, so several games can share a page. Only the
+ * three canvases are required; the other parts (score display, results
+ * screen, settings, replay panel, ...) are set up when present:
+ *
+ *   gameCanvas, nextCanvas, holdCanvas, score, level, lines, timer, splits,
+ *   finesse, statsTable, gameOverScreen, finalScore, resultTitle, resultDetails,
+ *   statsSummary, restartButton,
+ *   startButton, pauseButton, resetButton, aiButton, continueButton, modeSelect,
+ *   settingsPanel, gamepadStatus, touchControls, keyBindingsTable,
+ *   resetBindingsButton, gamepadBindingsTable, resetGamepadBindingsButton,
+ *   replay ({ exportButton, importInput, playButton,
+ *   exitButton, speedSelect, seekInput, fumenButton, status }), leaderboard
+ *   ({ table, nameInput, exportButton, importInput, status }), editor
+ *   ({ toggleButton, palette, queueInput, holdSelect, playButton, clearButton,
+ *   linkButton, normalStartButton, fumenInput, fumenImportButton,
+ *   fumenExportButton, prevPageButton, nextPageButton, pageLabel, status })
  */
 
-import { GameBoard } from './board.js';
-import { Piece } from './pieces.js';
+import { TetrisEngine } from './engine.js';
+import { AIPlayer } from './ai.js';
 import { InputHandler } from './input.js';
+import { GamepadInput, formatControl } from './gamepad.js';
+import { TouchInput } from './touch.js';
 import { Renderer } from './renderer.js';
+import { KeyBindingPanel, listenForKey } from './keybindings.js';
+import { Settings, SettingsPanel } from './settings.js';
+import { ReplayControls } from './replay.js';
+import { Leaderboard, LeaderboardPanel } from './leaderboard.js';
+import { SaveGameStore } from './savegame.js';
+import { GameStats } from './stats.js';
+import { FinesseTracker } from './finesse.js';
+import { BoardEditor } from './editor.js';
+import { encodeReplayFumen } from './fumen.js';
+import { parseModeSetting, getModeSetting, formatTime } from './modes.js';
+
+// Results screen title for each way a game can end
+const RESULT_TITLES = {
+    topOut: 'Game Over',
+    goal: 'Complete!',
+    timeUp: 'Time Up!',
+    win: 'You Win!'
+};
+
+/**
+ * Fill a table with [label, value] rows
+ */
+function renderRows(table, rows) {
+    table.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        [label, value].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    });
+}
 
 export class TetrisGame {
-    constructor(gameCanvas, nextCanvas) {
-        this.board = new GameBoard();
-        this.renderer = new Renderer(gameCanvas, nextCanvas);
-        this.input = new InputHandler(this);
-        
-        // Game state
-        this.currentPiece = null;
-        this.nextPiece = null;
-        this.isRunning = false;
-        this.isPaused = false;
-        this.isGameOver = false;
-        
-        // Scoring and levels
-        this.score = 0;
-        this.lines = 0;
-        this.level = 1;
-        this.combo = 0;
-        
-        // Timing
-        this.dropTimer = 0;
-        this.lastTime = 0;
-        this.dropInterval = this.getLevelDropInterval();
-        this.lockTimer = 0;
-        this.lockDelay = 500; // ms before piece locks
-        this.isLocking = false;
+    /**
+     * options: engine options (seed, randomizer, mode, ...) plus
+     *   settings    - Settings instance (default: the shared user settings)
+     *   keyBindings - KeyBindings instance (default: the shared key bindings)
+     *   gamepadIndex - only read this gamepad (default: all gamepads)
+     *   controls    - receives start/pause/restart from the inputs instead of
+     *                 this game (e.g. a versus match running several games)
+     */
+    constructor(elements, options = {}) {
+        const { settings, keyBindings, gamepadIndex, controls, ...engineOptions } = options;
+        
+        this.elements = elements;
+        this.settings = settings || new Settings();
+        this.engine = new TetrisEngine({
+            ...parseModeSetting(this.settings.get('mode')),
+            ...engineOptions,
+            previewCount: this.settings.get('previewCount'),
+            handling: this.getHandlingSettings(),
+            lockReset: this.settings.get('lockReset'),
+            scoring: this.settings.get('scoring')
+        });
+        this.renderer = new Renderer(elements.gameCanvas, elements.nextCanvas, elements.holdCanvas);
+        this.input = new InputHandler(this, keyBindings, { controls });
+        this.gamepad = new GamepadInput(this.input, {
+            index: gamepadIndex,
+            deadzone: this.settings.get('gamepadDeadzone'),
+            onConnectionChange: gamepads => this.updateGamepadStatus(gamepads)
+        });
+        this.ai = new AIPlayer(this.engine, { moveDelay: this.settings.get('aiMoveDelay') });
+        this.aiAssisted = false; // the AI played part of this game (kept off the leaderboard)
+        this.stats = new GameStats(this.engine);
+        this.finesse = new FinesseTracker();
+        
+        // Last clear shown on the playfield (e.g. "T-SPIN DOUBLE")
+        this.actionText = '';
+        this.actionTextTimer = 0;
+        this.actionTextDuration = 1500; // ms
+        
+        // Replay playback speed (1 = real time)
+        this.playbackSpeed = 1;
         
         // Animation
         this.animationId = null;
-        this.lineFlashTimer = 0;
-        this.lineFlashDuration = 300; // ms
+        this.lastTime = 0;
         
         // UI elements
         this.setupUI();
-        
-        // Initialize first pieces
-        this.generateNextPiece();
-        this.spawnNewPiece();
+        this.setupEngineEvents();
     }
 
     setupUI() {
-        // Get UI elements
-        this.scoreElement = document.getElementById('score');
-        this.levelElement = document.getElementById('level');
-        this.linesElement = document.getElementById('lines');
-        this.gameOverScreen = document.getElementById('gameOverScreen');
-        this.finalScoreElement = document.getElementById('finalScore');
+        const elements = this.elements;
+        this.renderedSplits = 0;
+        
+        // Setup settings (handling, lock delay and scoring apply from the next new game)
+        if (elements.settingsPanel) {
+            this.settingsPanel = new SettingsPanel(this.settings, elements.settingsPanel);
+        }
+        this.settings.onChange((name, value) => {
+            if (name === 'das' || name === 'arr' || name === 'sdf') {
+                this.engine.setHandling(this.getHandlingSettings());
+            } else if (name === 'lockReset') {
+                this.engine.setLockReset(value);
+            } else if (name === 'scoring') {
+                this.engine.setScoring(value);
+            } else if (name === 'previewCount') {
+                this.setPreviewCount(value);
+            } else if (name === 'gamepadDeadzone') {
+                this.gamepad.deadzone = value;
+            } else if (name === 'touchButtons' && this.touch) {
+                this.touch.setButtonsVisible(value);
+            } else if (name === 'aiMoveDelay') {
+                this.ai.moveDelay = value;
+            } else if (name === 'mode' && elements.modeSelect) {
+                this.setMode(value);
+            }
+        });
+        
+        // Setup mode selection (changing mode starts a fresh game)
+        if (elements.modeSelect) {
+            elements.modeSelect.value = this.settings.get('mode');
+            elements.modeSelect.addEventListener('change', () => this.settings.set('mode', elements.modeSelect.value));
+        }
+        
+        // Setup touch gestures on the playfield and the on-screen buttons
+        this.touch = null;
+        if (elements.touchControls) {
+            this.touch = new TouchInput(this.input, elements.gameCanvas, elements.touchControls);
+            this.touch.setButtonsVisible(this.settings.get('touchButtons'));
+        }
+        
+        // Setup replay export/import and playback controls
+        this.replayControls = elements.replay ? new ReplayControls(this, elements.replay) : null;
+        
+        // Setup the board editor (draws on the playfield while open)
+        this.editor = elements.editor ? new BoardEditor(this, elements.editor) : null;
+        
+        // Setup saving the game in progress (offered with Continue on the next load)
+        this.saveStore = null;
+        this.hasSavedGame = false;
+        if (elements.continueButton) {
+            this.saveStore = new SaveGameStore();
+            this.hasSavedGame = this.saveStore.hasSave();
+            elements.continueButton.classList.toggle('hidden', !this.hasSavedGame);
+        }
+        
+        // Setup the leaderboard on the results screen
+        this.leaderboard = null;
+        if (elements.leaderboard) {
+            this.leaderboard = new Leaderboard();
+            this.leaderboardPanel = new LeaderboardPanel(this.leaderboard, elements.leaderboard, {
+                onNameChange: name => this.settings.set('playerName', name)
+            });
+            if (elements.leaderboard.nameInput) {
+                elements.leaderboard.nameInput.value = this.settings.get('playerName');
+            }
+        }
+        
+        // Setup key and gamepad rebinding (pause while waiting for a key)
+        const pauseForCapture = () => {
+            if (this.isRunning && !this.isPaused) {
+                this.input.controls.togglePause();
+            }
+        };
+        if (elements.keyBindingsTable) {
+            this.keyBindingPanel = new KeyBindingPanel(
+                this.input.keyBindings,
+                elements.keyBindingsTable,
+                elements.resetBindingsButton,
+                { onCaptureStart: pauseForCapture }
+            );
+        }
+        if (elements.gamepadBindingsTable) {
+            this.gamepadBindingPanel = new KeyBindingPanel(
+                this.gamepad.bindings,
+                elements.gamepadBindingsTable,
+                elements.resetGamepadBindingsButton,
+                {
+                    onCaptureStart: pauseForCapture,
+                    // Capture the next gamepad control; any key cancels
+                    listen: onControl => {
+                        const stopGamepad = this.gamepad.captureControl(onControl);
+                        const stopKeys = listenForKey(() => onControl(null));
+                        return () => {
+                            stopGamepad();
+                            stopKeys();
+                        };
+                    },
+                    formatKey: formatControl,
+                    captureText: 'Press a button…'
+                }
+            );
+        }
         
         // Setup buttons
-        document.getElementById('startBtn').addEventListener('click', () => this.start());
-        document.getElementById('pauseBtn').addEventListener('click', () => this.togglePause());
-        document.getElementById('resetBtn').addEventListener('click', () => this.restart());
-        document.getElementById('restartBtn').addEventListener('click', () => this.restart());
+        const buttons = {
+            startButton: () => this.start(),
+            pauseButton: () => this.togglePause(),
+            resetButton: () => this.restart(),
+            restartButton: () => this.restart(),
+            aiButton: () => this.toggleAI(),
+            continueButton: () => this.continueSavedGame()
+        };
+        Object.entries(buttons).forEach(([name, handler]) => {
+            if (elements[name]) {
+                elements[name].addEventListener('click', handler);
+            }
+        });
     }
 
     /**
-     * Start the game
+     * Follow the engine: run the loop while it plays and keep the page in sync
      */
-    start() {
-        if (this.isGameOver) {
-            this.restart();
-            return;
-        }
+    setupEngineEvents() {
+        const engine = this.engine;
         
-        if (!this.isRunning) {
-            this.isRunning = true;
-            this.isPaused = false;
-            this.lastTime = performance.now();
-            this.gameLoop();
+        engine.on('start', () => {
+            if (!engine.replayPlayer) {
+                this.clearSavedGame();
+            }
+            this.startLoop();
+        });
+        engine.on('resume', () => this.startLoop());
+        engine.on('pause', () => {
+            this.saveGame();
             this.updateUI();
-        }
+        });
+        engine.on('score', () => this.updateUI());
+        engine.on('lock', ({ piece }) => {
+            this.updateFinesse(this.finesse.checkPlacement(piece));
+            this.updateStats();
+        });
+        
+        // Finesse counts the inputs of each piece
+        engine.on('spawn', () => this.finesse.startPiece());
+        engine.on('hold', () => this.finesse.startPiece());
+        engine.on('action', action => this.finesse.addInput(action));
+        engine.on('clear', clear => this.showActionText(clear.label));
+        
+        // A new game (or a loaded one) starts with a clean view
+        const resetView = () => {
+            this.actionText = '';
+            this.actionTextTimer = 0;
+            if (this.elements.gameOverScreen) {
+                this.elements.gameOverScreen.classList.add('hidden');
+            }
+            this.input.reset();
+            this.updateUI();
+            this.updateStats();
+            this.render();
+        };
+        
+        engine.on('reset', () => {
+            this.aiAssisted = this.ai.enabled;
+            this.finesse.reset();
+            this.updateFinesse(null);
+            resetView();
+        });
+        engine.on('restore', resetView);
+        
+        engine.on('gameOver', result => {
+            if (!engine.replayPlayer) {
+                this.clearSavedGame();
+            }
+            
+            this.showResults(result);
+            this.updateUI();
+        });
+    }
+
+    get isRunning() {
+        return this.engine.isRunning;
+    }
+
+    get isPaused() {
+        return this.engine.isPaused;
+    }
+
+    get isGameOver() {
+        return this.engine.isGameOver;
+    }
+
+    get frame() {
+        return this.engine.frame;
+    }
+
+    get replayPlayer() {
+        return this.engine.replayPlayer;
+    }
+
+    /**
+     * Start the game
+     */
+    start() {
+        this.engine.start();
     }
 
     /**
      * Pause/resume the game
      */
     togglePause() {
-        if (!this.isRunning) return;
-        
-        this.isPaused = !this.isPaused;
-        
-        if (!this.isPaused) {
-            this.lastTime = performance.now();
-            this.gameLoop();
-        }
-        
-        this.updateUI();
+        this.engine.togglePause();
     }
 
     /**
      * Restart the game
      */
     restart() {
-        this.isRunning = false;
-        this.isPaused = false;
-        this.isGameOver = false;
-        
-        // Reset game state
-        this.board.reset();
-        this.score = 0;
-        this.lines = 0;
-        this.level = 1;
-        this.combo = 0;
-        this.dropTimer = 0;
-        this.lockTimer = 0;
-        this.isLocking = false;
-        this.lineFlashTimer = 0;
-        
-        // Reset drop interval
-        this.dropInterval = this.getLevelDropInterval();
-        
-        // Generate new pieces
-        this.generateNextPiece();
-        this.spawnNewPiece();
-        
-        // Hide game over screen
-        this.gameOverScreen.classList.add('hidden');
-        
-        // Reset input
-        this.input.reset();
-        
-        this.updateUI();
-        this.render();
+        this.engine.reset();
     }
 
     /**
-     * Main game loop
+     * Let the AI play (starting a game if needed) or take back control
      */
-    gameLoop() {
-        if (!this.isRunning || this.isPaused) return;
+    toggleAI() {
+        const controls = this.input.controls;
+        this.ai.setEnabled(!this.ai.enabled);
+        if (this.ai.enabled) {
+            this.aiAssisted = true;
+        }
         
-        const currentTime = performance.now();
-        const deltaTime = currentTime - this.lastTime;
-        this.lastTime = currentTime;
+        if (this.ai.enabled && !controls.isRunning) {
+            if (controls.isGameOver) {
+                controls.restart();
+            }
+            controls.start();
+        }
         
-        this.update(deltaTime);
-        this.render();
+        this.updateUI();
+    }
+
+    /**
+     * Save the game in progress (not replays or finished games)
+     */
+    saveGame() {
+        const engine = this.engine;
+        if (!this.saveStore || !engine.isRunning || engine.isGameOver || engine.replayPlayer) return;
+        
+        this.saveStore.save({
+            engine: engine.getState(),
+            stats: this.stats.getState(),
+            finesse: this.finesse.getState(),
+            aiAssisted: this.aiAssisted
+        });
+        this.hasSavedGame = true;
+    }
+
+    clearSavedGame() {
+        if (!this.saveStore || !this.hasSavedGame) return;
         
-        this.animationId = requestAnimationFrame(() => this.gameLoop());
+        this.saveStore.clear();
+        this.hasSavedGame = false;
     }
 
     /**
-     * Update game logic
+     * Load the saved game; it comes back paused
      */
-    update(deltaTime) {
-        if (this.isGameOver) return;
-        
-        // Handle line flashing
-        if (this.lineFlashTimer > 0) {
-            this.lineFlashTimer -= deltaTime;
-            if (this.lineFlashTimer <= 0) {
-                this.board.clearFlashingLines();
-            }
-            return; // Don't update other logic while flashing
+    continueSavedGame() {
+        const save = this.saveStore ? this.saveStore.load() : null;
+        if (!save) {
+            this.hasSavedGame = false;
+            this.updateUI();
+            return;
         }
         
-        // Handle piece locking
-        if (this.isLocking) {
-            this.lockTimer -= deltaTime;
-            if (this.lockTimer <= 0) {
-                this.lockPiece();
-                return;
-            }
+        this.ai.setEnabled(false);
+        this.aiAssisted = save.aiAssisted === true;
+        this.engine.restoreState(save.engine);
+        if (save.stats) {
+            this.stats.setState(save.stats);
+            this.updateStats();
+        }
+        if (save.finesse) {
+            this.finesse.setState(save.finesse);
+            this.updateFinesse(null);
         }
         
-        // Handle automatic piece dropping
-        this.dropTimer += deltaTime;
-        if (this.dropTimer >= this.dropInterval) {
-            this.dropTimer = 0;
-            this.moveCurrentPiece(0, 1);
+        if (this.elements.modeSelect) {
+            this.elements.modeSelect.value = getModeSetting(this.engine.mode);
         }
     }
 
     /**
-     * Render the game
+     * Start new games from a custom position (null for an empty board); the
+     * game resets to it
      */
-    render() {
-        const gameState = {
-            board: this.board,
-            currentPiece: this.currentPiece,
-            nextPiece: this.nextPiece
+    setStartPosition(position) {
+        this.engine.setStartPosition(position);
+    }
+
+    /**
+     * Switch game mode from a setting value such as "sprint:40"
+     */
+    setMode(value) {
+        const { type, goal } = parseModeSetting(value);
+        this.engine.setMode(type, goal);
+    }
+
+    /**
+     * Get DAS, ARR and SDF from the user settings
+     */
+    getHandlingSettings() {
+        return {
+            das: this.settings.get('das'),
+            arr: this.settings.get('arr'),
+            sdf: this.settings.get('sdf')
         };
-        
-        this.renderer.render(gameState);
-        
-        if (this.isGameOver) {
-            this.renderer.renderGameOver();
-        }
     }
 
     /**
-     * Move the current piece
+     * Handle a game action being pressed by any input source
      */
-    movePiece(dx, dy) {
-        this.moveCurrentPiece(dx, dy);
+    pressAction(action) {
+        this.engine.pressAction(action);
     }
 
     /**
-     * Move current piece with collision detection
+     * Handle a game action being released by every input source
      */
-    moveCurrentPiece(dx, dy) {
-        if (!this.currentPiece || this.isGameOver) return false;
-        
-        if (this.board.canPlacePiece(this.currentPiece, dx, dy)) {
-            this.currentPiece.x += dx;
-            this.currentPiece.y += dy;
-            
-            // Reset lock timer if piece moved horizontally or rotated
-            if (dx !== 0) {
-                this.resetLockTimer();
-            }
-            
-            // Start locking if piece moved down and can't move further
-            if (dy > 0 && !this.board.canPlacePiece(this.currentPiece, 0, 1)) {
-                this.startLocking();
-            }
-            
-            return true;
-        } else if (dy > 0) {
-            // Piece hit bottom or another piece
-            this.startLocking();
+    releaseAction(action) {
+        this.engine.releaseAction(action);
+    }
+
+    /**
+     * (Re)start the animation loop from the current time
+     */
+    startLoop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
         }
         
-        return false;
+        this.lastTime = performance.now();
+        this.gameLoop();
+        this.updateUI();
     }
 
     /**
-     * Rotate the current piece
+     * Main game loop
      */
-    rotatePiece() {
-        if (!this.currentPiece || this.isGameOver) return;
+    gameLoop() {
+        this.animationId = null;
+        if (!this.isRunning || this.isPaused) return;
+        
+        const currentTime = performance.now();
+        const deltaTime = currentTime - this.lastTime;
+        const speed = this.replayPlayer ? this.playbackSpeed : 1;
+        this.lastTime = currentTime;
         
-        const originalRotation = this.currentPiece.rotation;
-        const piece = this.currentPiece.copy();
-        piece.rotate();
+        this.ai.update(deltaTime * speed);
+        this.engine.tick(deltaTime * speed);
         
-        // Try basic rotation first
-        if (this.board.canPlacePiece(piece)) {
-            this.currentPiece.rotate();
-            this.resetLockTimer();
-            return;
+        if (this.actionTextTimer > 0) {
+            this.actionTextTimer -= deltaTime * speed;
         }
         
-        // Try wall kicks (SRS)
-        const fromRotation = originalRotation;
-        const toRotation = piece.rotation;
-        const wallKicks = piece.getWallKickOffsets(fromRotation, toRotation);
-        
-        for (const [dx, dy] of wallKicks) {
-            if (this.board.canPlacePiece(piece, dx, dy)) {
-                this.currentPiece.rotate();
-                this.currentPiece.x += dx;
-                this.currentPiece.y += dy;
-                this.resetLockTimer();
-                return;
-            }
+        this.render();
+        this.updateModeUI();
+        
+        if (this.replayPlayer && this.replayControls) {
+            this.replayControls.update();
         }
+        
+        this.animationId = requestAnimationFrame(() => this.gameLoop());
     }
 
     /**
-     * Soft drop (increase fall speed)
+     * Render the game
      */
-    softDrop() {
-        if (this.moveCurrentPiece(0, 1)) {
-            this.score += 1; // 1 point for soft drop
-            this.updateUI();
+    render() {
+        if (this.editor && this.editor.isOpen) {
+            this.renderer.render(this.editor.getRenderState());
+            return;
+        }
+        
+        const engine = this.engine;
+        const gameState = {
+            board: engine.board,
+            currentPiece: engine.currentPiece,
+            nextQueue: engine.getPreview(),
+            heldPiece: engine.heldPiece,
+            canHold: engine.canHold,
+            target: engine.mode.target ? engine.mode.target.piece : null,
+            actionText: this.actionTextTimer > 0 ? this.actionText : ''
+        };
+        
+        this.renderer.render(gameState);
+        
+        if (engine.isGameOver && engine.endReason === 'topOut') {
+            this.renderer.renderGameOver();
         }
     }
 
     /**
-     * Hard drop (instant drop)
+     * Show a label on the playfield for a short time
      */
-    hardDrop() {
-        if (!this.currentPiece || this.isGameOver) return;
+    showActionText(text) {
+        if (!text) return;
         
-        const dropDistance = this.board.getDropPosition(this.currentPiece) - this.currentPiece.y;
-        this.currentPiece.y = this.board.getDropPosition(this.currentPiece);
+        this.actionText = text;
+        this.actionTextTimer = this.actionTextDuration;
+    }
+
+    /**
+     * Show the results screen for a finished game
+     */
+    showResults(result) {
+        const elements = this.elements;
+        if (!elements.gameOverScreen) return;
+        
+        elements.resultTitle.textContent = RESULT_TITLES[result.reason] || RESULT_TITLES.topOut;
+        elements.finalScore.textContent = result.score.toString().padStart(6, '0');
+        
+        renderRows(elements.resultDetails, [
+            ...this.engine.mode.getResultRows(result),
+            ...this.engine.scoring.getResultRows(result)
+        ]);
+        if (elements.statsSummary) {
+            renderRows(elements.statsSummary, this.stats.getRows());
+        }
         
-        // Add score for hard drop (2 points per cell)
-        this.score += dropDistance * 2;
+        if (this.leaderboard) {
+            this.showLeaderboard(result);
+        }
         
-        this.lockPiece();
-        this.updateUI();
+        elements.gameOverScreen.classList.remove('hidden');
     }
 
     /**
-     * Start the locking process
+     * Record a finished game (not replays, AI games or games from a custom
+     * position) and show the mode's table
      */
-    startLocking() {
-        if (!this.isLocking) {
-            this.isLocking = true;
-            this.lockTimer = this.lockDelay;
-        }
+    showLeaderboard(result) {
+        const mode = this.engine.mode;
+        const modeSetting = getModeSetting(mode);
+        const entry = this.engine.replayPlayer || this.aiAssisted || this.engine.startPosition
+            ? null
+            : this.leaderboard.addResult(modeSetting, mode, result, this.settings.get('playerName'));
+        
+        this.leaderboardPanel.show(modeSetting, entry ? entry.id : null);
     }
 
     /**
-     * Reset the lock timer
+     * Show the finesse faults so far, flagging the last piece if it was one
      */
-    resetLockTimer() {
-        this.isLocking = false;
-        this.lockTimer = 0;
+    updateFinesse(check) {
+        const element = this.elements.finesse;
+        if (!element) return;
+        
+        const { faults, pieces } = this.finesse;
+        const accuracy = pieces > 0 ? Math.round((1 - this.finesse.getFaultRate()) * 100) : 100;
+        element.textContent = `${faults} (${accuracy}%)`;
+        element.classList.toggle('fault', check !== null && check.fault);
     }
 
     /**
-     * Lock the current piece and spawn a new one
+     * Update the live statistics panel
      */
-    lockPiece() {
-        if (!this.currentPiece) return;
-        
-        // Place piece on board
-        this.board.placePiece(this.currentPiece);
-        
-        // Check for completed lines
-        const linesCleared = this.board.clearLines();
-        
-        if (linesCleared > 0) {
-            this.handleLinesCleared(linesCleared);
-            this.lineFlashTimer = this.lineFlashDuration;
-        } else {
-            this.combo = 0; // Reset combo if no lines cleared
-        }
-        
-        // Reset locking state
-        this.resetLockTimer();
-        
-        // Spawn new piece
-        this.spawnNewPiece();
-        
-        // Check for game over
-        if (this.board.isGameOver() || !this.board.canPlacePiece(this.currentPiece)) {
-            this.gameOver();
+    updateStats() {
+        if (this.elements.statsTable) {
+            renderRows(this.elements.statsTable, this.stats.getRows());
         }
-        
-        this.updateUI();
     }
 
     /**
-     * Handle lines cleared
+     * Update the mode timer and split times in the sidebar
      */
-    handleLinesCleared(linesCleared) {
-        this.lines += linesCleared;
-        this.combo += 1;
-        
-        // Calculate score based on lines cleared and level
-        const baseScores = [0, 40, 100, 300, 1200]; // 0, 1, 2, 3, 4 lines
-        let lineScore = baseScores[linesCleared] * this.level;
-        
-        // Combo bonus
-        if (this.combo > 1) {
-            lineScore += 50 * this.combo * this.level;
+    updateModeUI() {
+        const { timer, splits: splitsElement } = this.elements;
+        const mode = this.engine.mode;
+        if (timer) {
+            timer.textContent = formatTime(mode.getDisplayTime(this.engine));
         }
         
-        this.score += lineScore;
+        const splits = mode.splits || [];
+        if (!splitsElement || splits.length === this.renderedSplits) return;
         
-        // Level up every 10 lines
-        const newLevel = Math.floor(this.lines / 10) + 1;
-        if (newLevel > this.level) {
-            this.level = newLevel;
-            this.dropInterval = this.getLevelDropInterval();
-        }
+        splitsElement.innerHTML = '';
+        splits.forEach(split => {
+            const item = document.createElement('li');
+            item.textContent = `${split.lines}L  ${formatTime(split.time)}`;
+            splitsElement.appendChild(item);
+        });
+        this.renderedSplits = splits.length;
     }
 
     /**
-     * Generate next piece
+     * Set the number of next pieces shown (also saved in the settings)
      */
-    generateNextPiece() {
-        const type = Piece.getRandomType();
-        this.nextPiece = new Piece(type);
+    setPreviewCount(count) {
+        this.engine.setPreviewCount(count);
+        this.settings.set('previewCount', this.engine.previewCount);
+        this.render();
     }
 
     /**
-     * Spawn a new piece
+     * Get the recording of the current or last game
      */
-    spawnNewPiece() {
-        this.currentPiece = this.nextPiece;
-        this.generateNextPiece();
+    getRecordedReplay() {
+        return this.engine.getRecordedReplay();
     }
 
     /**
-     * Get drop interval based on level
+     * Encode a replay as a fumen diagram with a page per placed piece, or
+     * null if no piece was placed (the game is played through on an engine
+     * of its own, so the one on screen is left alone)
      */
-    getLevelDropInterval() {
-        // Standard Tetris timing (frames at 60fps converted to ms)
-        const frames = Math.max(1, 48 - (this.level - 1) * 5);
-        return (frames / 60) * 1000;
+    getReplayFumen(replay) {
+        return encodeReplayFumen(new TetrisEngine(), replay);
     }
 
     /**
-     * Game over
+     * Play a replay through the engine
      */
-    gameOver() {
-        this.isGameOver = true;
-        this.isRunning = false;
-        this.finalScoreElement.textContent = this.score.toString().padStart(6, '0');
-        this.gameOverScreen.classList.remove('hidden');
+    startReplay(replay) {
+        this.engine.startReplay(replay);
+    }
+
+    /**
+     * Leave replay playback and go back to a fresh game
+     */
+    stopReplay() {
+        this.engine.stopReplay();
+    }
+
+    /**
+     * Jump to a frame of the replay being played
+     */
+    seekReplay(targetFrame) {
+        this.engine.seekReplay(targetFrame);
+        this.updateUI();
+        this.render();
     }
 
     /**
      * Update UI elements
      */
     updateUI() {
-        this.scoreElement.textContent = this.score.toString().padStart(6, '0');
-        this.levelElement.textContent = this.level.toString();
-        this.linesElement.textContent = this.lines.toString();
+        const engine = this.engine;
+        const { score, level, lines, startButton, pauseButton, aiButton, continueButton } = this.elements;
+        if (score) score.textContent = engine.score.toString().padStart(6, '0');
+        if (level) level.textContent = engine.level.toString();
+        if (lines) lines.textContent = engine.lines.toString();
+        this.updateModeUI();
         
         // Update button states
-        const startBtn = document.getElementById('startBtn');
-        const pauseBtn = document.getElementById('pauseBtn');
-        
-        if (this.isGameOver) {
-            startBtn.textContent = 'Start';
-            pauseBtn.disabled = true;
-        } else if (!this.isRunning) {
-            startBtn.textContent = 'Start';
-            pauseBtn.disabled = true;
-        } else if (this.isPaused) {
-            startBtn.textContent = 'Resume';
-            pauseBtn.textContent = 'Resume';
-            pauseBtn.disabled = false;
-        } else {
-            startBtn.textContent = 'Start';
-            pauseBtn.textContent = 'Pause';
-            pauseBtn.disabled = false;
+        if (aiButton) {
+            aiButton.textContent = this.ai.enabled ? 'Stop AI' : 'Watch AI';
+        }
+        
+        if (continueButton) {
+            continueButton.classList.toggle('hidden', !this.hasSavedGame || engine.isRunning);
+        }
+        
+        if (startButton && pauseButton) {
+            if (engine.isGameOver || !engine.isRunning) {
+                startButton.textContent = 'Start';
+                pauseButton.disabled = true;
+            } else if (engine.isPaused) {
+                startButton.textContent = 'Resume';
+                pauseButton.textContent = 'Resume';
+                pauseButton.disabled = false;
+            } else {
+                startButton.textContent = 'Start';
+                pauseButton.textContent = 'Pause';
+                pauseButton.disabled = false;
+            }
+        }
+        
+        if (this.replayControls) {
+            this.replayControls.update();
         }
     }
 
+    /**
+     * Show the connected gamepads in the settings panel
+     */
+    updateGamepadStatus(gamepads) {
+        const statusElement = this.elements.gamepadStatus;
+        if (!statusElement) return;
+        
+        statusElement.textContent = gamepads.length > 0
+            ? gamepads.map(gamepad => gamepad.id).join(', ')
+            : 'Not connected';
+    }
+
     /**
      * Destroy the game and clean up resources
      */
@@ -441,5 +718,12 @@ export class TetrisGame {
             cancelAnimationFrame(this.animationId);
         }
         this.input.destroy();
+        this.gamepad.destroy();
+        if (this.touch) {
+            this.touch.destroy();
+        }
+        if (this.editor) {
+            this.editor.destroy();
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Touch and gesture input for Tetris game
+ *
+ * Gestures on the playfield:
+ *   drag left/right : move one column per cell dragged
+ *   drag down       : soft drop while the finger stays down
+ *   flick down      : hard drop
+ *   flick up        : hold
+ *   tap             : rotate (right half clockwise, left half counter-clockwise)
+ *
+ * The optional on-screen buttons press actions directly, so holding one
+ * auto-repeats through the same DAS/ARR handling as the keyboard.
+ */
+
+const TAP_MAX_DISTANCE = 10;   // px a tap may wander
+const TAP_MAX_DURATION = 250;  // ms
+const FLICK_MIN_VELOCITY = 1;  // px/ms for a flick
+const FLICK_MIN_DISTANCE = 40; // px
+
+export class TouchInput {
+    constructor(input, element, buttonOverlay, options = {}) {
+        this.input = input;
+        this.element = element;
+        this.buttonOverlay = buttonOverlay;
+        this.columns = options.columns || 10;
+        this.gesture = null;
+
+        this.onPointerDown = this.handlePointerDown.bind(this);
+        this.onPointerMove = this.handlePointerMove.bind(this);
+        this.onPointerUp = this.handlePointerUp.bind(this);
+
+        this.element.addEventListener('pointerdown', this.onPointerDown);
+        this.element.addEventListener('pointermove', this.onPointerMove);
+        this.element.addEventListener('pointerup', this.onPointerUp);
+        this.element.addEventListener('pointercancel', this.onPointerUp);
+
+        this.setupButtons();
+    }
+
+    /**
+     * Wire the on-screen buttons (elements with data-action)
+     */
+    setupButtons() {
+        this.buttonOverlay.querySelectorAll('[data-action]').forEach(button => {
+            const action = button.dataset.action;
+            const source = `touchButton:${action}`;
+
+            button.addEventListener('pointerdown', event => {
+                event.preventDefault();
+                button.setPointerCapture(event.pointerId);
+                this.input.pressAction(action, source);
+            });
+
+            const release = () => this.input.releaseAction(action, source);
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointercancel', release);
+            button.addEventListener('lostpointercapture', release);
+        });
+    }
+
+    /**
+     * Show or hide the on-screen buttons
+     */
+    setButtonsVisible(visible) {
+        this.buttonOverlay.classList.toggle('hidden', !visible);
+    }
+
+    handlePointerDown(event) {
+        // Mouse input on the playfield is left to other tools
+        if (event.pointerType === 'mouse' || this.gesture) return;
+
+        event.preventDefault();
+        this.element.setPointerCapture(event.pointerId);
+
+        this.gesture = {
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            startTime: event.timeStamp,
+            anchorX: event.clientX,
+            hasMoved: false,
+            isSoftDropping: false
+        };
+    }
+
+    handlePointerMove(event) {
+        const gesture = this.gesture;
+        if (!gesture || event.pointerId !== gesture.pointerId) return;
+
+        event.preventDefault();
+        const cellSize = this.getCellSize();
+
+        // One column per cell dragged
+        while (Math.abs(event.clientX - gesture.anchorX) >= cellSize) {
+            const direction = Math.sign(event.clientX - gesture.anchorX);
+            this.tapAction(direction < 0 ? 'moveLeft' : 'moveRight');
+            gesture.anchorX += direction * cellSize;
+            gesture.hasMoved = true;
+        }
+
+        // Dragging down a cell starts a soft drop that lasts until the finger lifts
+        if (!gesture.isSoftDropping && event.clientY - gesture.startY >= cellSize) {
+            gesture.isSoftDropping = true;
+            gesture.hasMoved = true;
+            this.input.pressAction('softDrop', 'touch');
+        }
+    }
+
+    handlePointerUp(event) {
+        const gesture = this.gesture;
+        if (!gesture || event.pointerId !== gesture.pointerId) return;
+
+        event.preventDefault();
+        this.gesture = null;
+
+        if (gesture.isSoftDropping) {
+            this.input.releaseAction('softDrop', 'touch');
+        }
+
+        if (event.type === 'pointercancel') return;
+
+        const dx = event.clientX - gesture.startX;
+        const dy = event.clientY - gesture.startY;
+        const duration = Math.max(1, event.timeStamp - gesture.startTime);
+        const velocityY = dy / duration;
+        const isVertical = Math.abs(dy) > Math.abs(dx);
+
+        if (isVertical && Math.abs(dy) >= FLICK_MIN_DISTANCE && Math.abs(velocityY) >= FLICK_MIN_VELOCITY) {
+            this.tapAction(dy > 0 ? 'hardDrop' : 'hold');
+        } else if (!gesture.hasMoved && Math.hypot(dx, dy) <= TAP_MAX_DISTANCE && duration <= TAP_MAX_DURATION) {
+            this.handleTap(event);
+        }
+    }
+
+    /**
+     * Tap: start the game, or rotate depending on the tapped half
+     */
+    handleTap(event) {
+        if (!this.input.game.isRunning) {
+            // Same as the hard drop key: start or restart
+            this.tapAction('hardDrop');
+            return;
+        }
+
+        const rect = this.element.getBoundingClientRect();
+        const isRightHalf = event.clientX - rect.left >= rect.width / 2;
+        this.tapAction(isRightHalf ? 'rotateCW' : 'rotateCCW');
+    }
+
+    /**
+     * Press and immediately release an action
+     */
+    tapAction(action) {
+        this.input.pressAction(action, 'touchTap');
+        this.input.releaseAction(action, 'touchTap');
+    }
+
+    /**
+     * Width of one board cell on screen (the canvas may be scaled by CSS)
+     */
+    getCellSize() {
+        return this.element.getBoundingClientRect().width / this.columns;
+    }
+
+    /**
+     * Remove event listeners
+     */
+    destroy() {
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointercancel', this.onPointerUp);
+    }
+}
\ No newline at end of file
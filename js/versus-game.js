@@ -0,0 +1,64 @@
+/**
+ * Versus page entry point
+ */
+
+import { VersusMatch } from './versus.js';
+
+/**
+ * Get the elements of one player's board (ids are prefixed with p1/p2)
+ */
+function getPlayerElements(prefix) {
+    const byId = id => document.getElementById(`${prefix}${id}`);
+
+    return {
+        gameCanvas: byId('GameCanvas'),
+        nextCanvas: byId('NextCanvas'),
+        holdCanvas: byId('HoldCanvas'),
+        score: byId('Score'),
+        lines: byId('Lines'),
+        timer: byId('Timer'),
+        aiButton: byId('AiBtn'),
+        keyBindingsTable: byId('KeyBindingsTable'),
+        resetBindingsButton: byId('ResetBindingsBtn'),
+        garbageMeter: byId('GarbageMeter')
+    };
+}
+
+function setupMatch() {
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+    const seed = parseInt(params.get('seed'), 10);
+    if (!Number.isNaN(seed)) {
+        options.seed = seed;
+    }
+
+    const match = new VersusMatch([getPlayerElements('p1'), getPlayerElements('p2')], {
+        startButton: document.getElementById('startBtn'),
+        pauseButton: document.getElementById('pauseBtn'),
+        resetButton: document.getElementById('resetBtn'),
+        winnerScreen: document.getElementById('winnerScreen'),
+        winnerTitle: document.getElementById('winnerTitle'),
+        winnerDetails: document.getElementById('winnerDetails'),
+        rematchButton: document.getElementById('rematchBtn')
+    }, options);
+
+    match.render();
+
+    // Pause when the tab is not active
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && match.isRunning && !match.isPaused) {
+            match.togglePause();
+        }
+    });
+
+    window.addEventListener('beforeunload', () => match.destroy());
+
+    // Make the match accessible globally for debugging
+    window.tetrisVersus = match;
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupMatch);
+} else {
+    setupMatch();
+}
\ No newline at end of file
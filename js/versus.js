@@ -0,0 +1,308 @@
+/**
+ * Local two-player versus
+ *
+ * Runs two TetrisGames side by side from one shared seed, so both players
+ * get the same pieces. Line clears attack the opponent (see garbage.js):
+ * an attack first cancels the sender's own incoming garbage, the rest is
+ * queued for the opponent and rises into their board when their next piece
+ * locks without clearing lines. The last player standing wins.
+ */
+
+import { TetrisGame } from './tetris.js';
+import { KeyBindings } from './keybindings.js';
+import { SeededRandom } from './pieces.js';
+import { Settings } from './settings.js';
+import { getAttack, GarbageQueue } from './garbage.js';
+
+// Default keys for each player (only one player may use a key)
+export const VERSUS_KEY_BINDINGS = [
+    {
+        moveLeft: ['KeyA'],
+        moveRight: ['KeyD'],
+        softDrop: ['KeyS'],
+        hardDrop: ['KeyW', 'Space'],
+        rotateCW: ['KeyE'],
+        rotateCCW: ['KeyQ'],
+        rotate180: ['KeyZ'],
+        hold: ['KeyC', 'ShiftLeft'],
+        pause: ['Escape'],
+        restart: ['KeyR']
+    },
+    {
+        moveLeft: ['ArrowLeft'],
+        moveRight: ['ArrowRight'],
+        softDrop: ['ArrowDown'],
+        hardDrop: ['Enter'],
+        rotateCW: ['ArrowUp', 'Period'],
+        rotateCCW: ['Comma'],
+        rotate180: ['Slash'],
+        hold: ['ShiftRight'],
+        pause: ['KeyP'],
+        restart: []
+    }
+];
+
+// Garbage lines that fill the incoming meter
+const METER_LINES = 20;
+
+/**
+ * Show the incoming garbage in a meter element (its height is the amount)
+ */
+export function updateGarbageMeter(meter, lines) {
+    if (!meter) return;
+
+    meter.style.height = `${Math.min(lines, METER_LINES) / METER_LINES * 100}%`;
+    meter.title = `${lines} incoming`;
+}
+
+/**
+ * Fill a table with the mode's result rows side by side, one column per
+ * player ({ name, result }); players without a result show '-'
+ */
+export function renderResultComparison(table, mode, players) {
+    const columns = players.map(player => (player.result ? mode.getResultRows(player.result) : []));
+    const labels = columns.find(column => column.length > 0) || [];
+    const rows = [
+        ['', ...players.map(player => player.name)],
+        ...labels.map(([label], index) => [label, ...columns.map(column => (column[index] ? column[index][1] : '-'))])
+    ];
+
+    table.innerHTML = '';
+    rows.forEach(cells => {
+        const row = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    });
+}
+
+export class VersusMatch {
+    /**
+     * playerElements: one TetrisGame elements object per player, plus an
+     *   optional garbageMeter element whose height shows incoming garbage
+     * elements: startButton, pauseButton, resetButton, winnerScreen,
+     *   winnerTitle, winnerDetails, rematchButton (all optional)
+     * options: engine options shared by both games (e.g. seed, randomizer)
+     */
+    constructor(playerElements, elements = {}, options = {}) {
+        this.elements = elements;
+        this.settings = new Settings();
+        this.seed = options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+        this.winner = null;
+
+        this.players = playerElements.map((playerElement, index) => {
+            const game = new TetrisGame(playerElement, {
+                ...options,
+                mode: 'versus',
+                goal: null,
+                seed: this.seed,
+                settings: this.settings,
+                keyBindings: new KeyBindings(`tetris.versus.keyBindings.${index + 1}`, VERSUS_KEY_BINDINGS[index]),
+                gamepadIndex: index,
+                controls: this
+            });
+
+            return {
+                name: `Player ${index + 1}`,
+                game,
+                engine: game.engine,
+                incoming: new GarbageQueue(),
+                meter: playerElement.garbageMeter || null
+            };
+        });
+
+        this.players.forEach(player => this.setupPlayerEvents(player));
+        this.setupUI();
+        this.updateUI();
+    }
+
+    setupUI() {
+        const buttons = {
+            startButton: () => this.start(),
+            pauseButton: () => this.togglePause(),
+            resetButton: () => this.restart(),
+            rematchButton: () => {
+                this.restart();
+                this.start();
+            }
+        };
+        Object.entries(buttons).forEach(([name, handler]) => {
+            if (this.elements[name]) {
+                this.elements[name].addEventListener('click', handler);
+            }
+        });
+    }
+
+    /**
+     * Exchange garbage and watch for the end of the match
+     */
+    setupPlayerEvents(player) {
+        const engine = player.engine;
+
+        engine.on('clear', clear => this.sendAttack(player, getAttack(clear)));
+
+        engine.on('lock', ({ linesCleared }) => {
+            if (linesCleared === 0) {
+                this.receiveGarbage(player);
+            }
+        });
+
+        engine.on('reset', () => {
+            player.incoming.clear();
+            this.updateMeter(player);
+        });
+
+        engine.on('gameOver', () => this.handleGameOver(player));
+
+        ['start', 'pause', 'resume', 'reset'].forEach(event => engine.on(event, () => this.updateUI()));
+    }
+
+    getOpponent(player) {
+        return this.players.find(other => other !== player);
+    }
+
+    /**
+     * Cancel the player's own incoming garbage, then queue the rest for the opponent
+     */
+    sendAttack(player, lines) {
+        if (lines === 0) return;
+
+        const opponent = this.getOpponent(player);
+        player.engine.mode.linesSent += lines;
+        opponent.incoming.add(player.incoming.cancel(lines));
+
+        this.updateMeter(player);
+        this.updateMeter(opponent);
+    }
+
+    /**
+     * Raise the queued garbage into the player's board, one hole column per attack
+     */
+    receiveGarbage(player) {
+        player.incoming.take().forEach(lines => {
+            player.engine.addGarbage(lines, { holeMode: 'random' });
+            player.engine.mode.linesReceived += lines;
+        });
+        this.updateMeter(player);
+    }
+
+    updateMeter(player) {
+        updateGarbageMeter(player.meter, player.incoming.total());
+    }
+
+    /**
+     * The first player to top out loses; the other game ends as the winner
+     */
+    handleGameOver(player) {
+        if (this.winner) return;
+
+        this.winner = this.getOpponent(player);
+        this.winner.engine.gameOver('win');
+        this.showWinner();
+        this.updateUI();
+    }
+
+    showWinner() {
+        const { winnerScreen, winnerTitle, winnerDetails } = this.elements;
+        if (!winnerScreen) return;
+
+        winnerTitle.textContent = `${this.winner.name} wins!`;
+        renderResultComparison(winnerDetails, this.winner.engine.mode, this.players.map(player => ({
+            name: player.name,
+            result: player.engine.getResult()
+        })));
+
+        winnerScreen.classList.remove('hidden');
+    }
+
+    get isRunning() {
+        return this.players.some(player => player.game.isRunning);
+    }
+
+    get isPaused() {
+        return this.players.some(player => player.game.isPaused);
+    }
+
+    get isGameOver() {
+        return this.winner !== null;
+    }
+
+    /**
+     * Start (or resume) both games together
+     */
+    start() {
+        if (this.isGameOver) {
+            this.restart();
+        }
+
+        if (this.isPaused) {
+            this.togglePause();
+            return;
+        }
+
+        this.players.forEach(player => player.game.start());
+    }
+
+    /**
+     * Pause/resume both games
+     */
+    togglePause() {
+        if (!this.isRunning) return;
+
+        const paused = this.isPaused;
+        this.players.forEach(player => {
+            if (player.game.isPaused === paused) {
+                player.game.togglePause();
+            }
+        });
+    }
+
+    /**
+     * Set up a new match with a fresh shared seed
+     */
+    restart() {
+        this.seed = SeededRandom.generateSeed();
+        this.winner = null;
+
+        if (this.elements.winnerScreen) {
+            this.elements.winnerScreen.classList.add('hidden');
+        }
+
+        this.players.forEach(player => {
+            player.engine.options.seed = this.seed;
+            player.game.restart();
+        });
+    }
+
+    /**
+     * Update the shared buttons
+     */
+    updateUI() {
+        const { startButton, pauseButton } = this.elements;
+        if (!startButton || !pauseButton) return;
+
+        if (this.isGameOver || !this.isRunning) {
+            startButton.textContent = 'Start';
+            pauseButton.disabled = true;
+        } else if (this.isPaused) {
+            startButton.textContent = 'Resume';
+            pauseButton.textContent = 'Resume';
+            pauseButton.disabled = false;
+        } else {
+            startButton.textContent = 'Start';
+            pauseButton.textContent = 'Pause';
+            pauseButton.disabled = false;
+        }
+    }
+
+    render() {
+        this.players.forEach(player => player.game.render());
+    }
+
+    destroy() {
+        this.players.forEach(player => player.game.destroy());
+    }
+}
\ No newline at end of file
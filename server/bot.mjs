@@ -0,0 +1,89 @@
+/**
+ * Headless online opponent
+ *
+ * Joins (or creates) a room on the game server and plays with the AI, so
+ * online versus can be tried with a single browser tab:
+ *
+ *   node server/bot.mjs [room] [--url ws://localhost:8080] [--delay 150]
+ *
+ * Without a room code it creates one and prints the code to join. The bot
+ * is ready again after every game, so rematches start from the browser.
+ */
+
+import { NodeWebSocket } from './websocket.mjs';
+import { NetClient, OnlineSession } from '../js/net.js';
+import { TetrisEngine } from '../js/engine.js';
+import { AIPlayer } from '../js/ai.js';
+
+const TICK_INTERVAL = 1000 / 60;
+
+function parseArguments(args) {
+    const options = { room: null, url: 'ws://localhost:8080', delay: 150 };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--url') {
+            options.url = args[++i];
+        } else if (args[i] === '--delay') {
+            options.delay = parseInt(args[++i], 10);
+        } else {
+            options.room = args[i];
+        }
+    }
+
+    return options;
+}
+
+const options = parseArguments(process.argv.slice(2));
+const client = new NetClient(options.url, { WebSocket: NodeWebSocket });
+const engine = new TetrisEngine({ mode: 'versus' });
+const ai = new AIPlayer(engine, { moveDelay: options.delay });
+const session = new OnlineSession(engine, client);
+
+client.on('open', () => {
+    if (options.room) {
+        client.joinRoom(options.room);
+    } else {
+        client.createRoom();
+    }
+});
+
+client.on('joined', ({ room }) => {
+    console.log(`Joined room ${room}`);
+    client.ready();
+});
+
+client.on('opponentJoined', () => console.log('Opponent joined'));
+client.on('opponentLeft', () => console.log('Opponent left'));
+
+client.on('error', ({ message }) => {
+    console.error(message);
+    client.disconnect();
+});
+
+client.on('close', () => {
+    clearInterval(timer);
+    console.log('Disconnected');
+});
+
+session.on('start', () => {
+    ai.setEnabled(true);
+    console.log('Game started');
+});
+
+session.on('end', ({ won, result }) => {
+    ai.setEnabled(false);
+    console.log(`${won ? 'Won' : 'Lost'}: ${result.lines} lines, ${result.linesSent} sent, ${result.linesReceived} received`);
+    client.ready();
+});
+
+let lastTime = performance.now();
+const timer = setInterval(() => {
+    const currentTime = performance.now();
+    const deltaTime = currentTime - lastTime;
+    lastTime = currentTime;
+
+    ai.update(deltaTime);
+    engine.tick(deltaTime);
+}, TICK_INTERVAL);
+
+client.connect();
\ No newline at end of file
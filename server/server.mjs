@@ -0,0 +1,238 @@
+/**
+ * Reference server for online versus
+ *
+ * Serves the game files over HTTP and relays messages between the two
+ * players of a room over WebSocket. Only Node built-ins are used:
+ *
+ *   node server/server.mjs [port]      (default 8080, or $PORT)
+ *
+ * then open http://localhost:8080/online.html in two tabs. The server
+ * keeps no game state besides the rooms; the clients run the games and
+ * the server only picks the shared seed and forwards attacks, board
+ * snapshots and game over (see js/net.js for the messages).
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { randomInt } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { acceptUpgrade } from './websocket.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ROOM_SIZE = 2;
+
+// Room codes avoid letters that are easy to mix up (I/O/0/1)
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+
+// Messages forwarded as-is to the other player
+const RELAYED_MESSAGES = ['attack', 'board', 'gameOver'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+export class GameServer {
+    constructor({ root = ROOT } = {}) {
+        this.root = root;
+        this.rooms = new Map();
+        this.http = createServer((request, response) => {
+            this.serveFile(request, response).catch(error => {
+                console.error('Failed to serve', request.url, error);
+                if (!response.headersSent) {
+                    response.writeHead(500);
+                }
+                response.end();
+            });
+        });
+        this.http.on('upgrade', (request, socket, head) => {
+            const connection = acceptUpgrade(request, socket, head);
+            if (connection) {
+                this.handleConnection(connection);
+            }
+        });
+    }
+
+    listen(port, callback) {
+        this.http.listen(port, callback);
+        return this;
+    }
+
+    close(callback) {
+        this.rooms.forEach(room => room.players.forEach(player => player.connection.close(1001)));
+        this.rooms.clear();
+        this.http.close(callback);
+    }
+
+    /**
+     * Serve a static file from the game directory
+     */
+    async serveFile(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        let relativePath;
+        try {
+            relativePath = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+        } catch (error) {
+            response.writeHead(400).end('Bad request');
+            return;
+        }
+        const filePath = path.join(this.root, path.normalize(relativePath));
+
+        // Never serve anything outside the game directory
+        if (!filePath.startsWith(this.root + path.sep)) {
+            response.writeHead(403).end('Forbidden');
+            return;
+        }
+
+        try {
+            const content = await readFile(filePath);
+            const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+            response.writeHead(200, { 'Content-Type': contentType }).end(content);
+        } catch (error) {
+            response.writeHead(404).end('Not found');
+        }
+    }
+
+    handleConnection(connection) {
+        const player = { connection, room: null, number: 0, ready: false };
+
+        connection.on('message', text => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                this.send(player, 'error', { message: 'Invalid message' });
+                return;
+            }
+            if (!message || typeof message !== 'object') {
+                this.send(player, 'error', { message: 'Invalid message' });
+                return;
+            }
+            this.handleMessage(player, message);
+        });
+        connection.on('close', () => this.leaveRoom(player));
+        connection.on('error', () => connection.close(1011));
+    }
+
+    handleMessage(player, message) {
+        switch (message.type) {
+            case 'create':
+                this.leaveRoom(player);
+                this.joinRoom(player, this.createRoom());
+                break;
+            case 'join': {
+                const room = this.rooms.get(String(message.room || '').toUpperCase());
+                if (!room) {
+                    this.send(player, 'error', { message: 'Room not found' });
+                } else if (room.players.length >= ROOM_SIZE) {
+                    this.send(player, 'error', { message: 'Room is full' });
+                } else {
+                    this.leaveRoom(player);
+                    this.joinRoom(player, room);
+                }
+                break;
+            }
+            case 'ready':
+                this.setReady(player);
+                break;
+            case 'leave':
+                this.leaveRoom(player);
+                break;
+            default:
+                if (RELAYED_MESSAGES.includes(message.type) && player.room) {
+                    if (message.type === 'gameOver') {
+                        player.room.playing = false;
+                    }
+                    this.sendToOpponent(player, message);
+                } else {
+                    this.send(player, 'error', { message: `Unexpected message: ${message.type}` });
+                }
+        }
+    }
+
+    createRoom() {
+        let code;
+        do {
+            code = Array.from({ length: ROOM_CODE_LENGTH }, () =>
+                ROOM_CODE_LETTERS[randomInt(ROOM_CODE_LETTERS.length)]).join('');
+        } while (this.rooms.has(code));
+
+        const room = { code, players: [], playing: false };
+        this.rooms.set(code, room);
+        return room;
+    }
+
+    joinRoom(player, room) {
+        const taken = room.players.map(other => other.number);
+        player.number = taken.includes(1) ? 2 : 1;
+        player.room = room;
+        player.ready = false;
+        room.players.push(player);
+
+        this.send(player, 'joined', { room: room.code, player: player.number, players: room.players.length });
+        this.sendToOpponent(player, { type: 'opponentJoined' });
+    }
+
+    leaveRoom(player) {
+        const room = player.room;
+        if (!room) return;
+
+        room.players = room.players.filter(other => other !== player);
+        room.playing = false;
+        player.room = null;
+
+        if (room.players.length === 0) {
+            this.rooms.delete(room.code);
+        } else {
+            room.players.forEach(other => {
+                other.ready = false;
+                this.send(other, 'opponentLeft');
+            });
+        }
+    }
+
+    /**
+     * Start the game with a new shared seed once every player is ready
+     */
+    setReady(player) {
+        const room = player.room;
+        if (!room || room.playing) return;
+
+        player.ready = true;
+        this.sendToOpponent(player, { type: 'opponentReady' });
+
+        if (room.players.length === ROOM_SIZE && room.players.every(other => other.ready)) {
+            const seed = randomInt(0x100000000);
+            room.playing = true;
+            room.players.forEach(other => {
+                other.ready = false;
+                this.send(other, 'start', { seed });
+            });
+        }
+    }
+
+    send(player, type, data = {}) {
+        player.connection.send(JSON.stringify({ ...data, type }));
+    }
+
+    sendToOpponent(player, message) {
+        player.room.players
+            .filter(other => other !== player)
+            .forEach(other => other.connection.send(JSON.stringify(message)));
+    }
+}
+
+// Run the server when started directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+    new GameServer().listen(port, () => {
+        console.log(`Tetris server running at http://localhost:${port}/ (online versus: /online.html)`);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,354 @@
+/**
+ * Minimal WebSocket (RFC 6455) support on Node built-ins
+ *
+ * Enough of the protocol for the game server and headless clients: text
+ * messages (fragmented or not), ping/pong and the close handshake. Binary
+ * messages are not used by the game and are ignored.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import http from 'node:http';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+export const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+/**
+ * Get the Sec-WebSocket-Accept value for a Sec-WebSocket-Key
+ */
+export function getAcceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode one final frame; clients must mask what they send, servers must not
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), masked = false) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    if (!masked) {
+        return Buffer.concat([header, payload]);
+    }
+
+    header[1] |= 0x80;
+    const mask = randomBytes(4);
+    const data = Buffer.from(payload);
+    for (let i = 0; i < data.length; i++) {
+        data[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, data]);
+}
+
+/**
+ * Parse frames out of a byte stream. Returns the frames read and the bytes
+ * left over (an incomplete frame); throws on a frame that is too large.
+ */
+export function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            throw new Error('WebSocket frame too large');
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < position + maskLength + length) break;
+
+        const mask = masked ? buffer.subarray(position, position + 4) : null;
+        position += maskLength;
+
+        const payload = Buffer.from(buffer.subarray(position, position + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ fin, opcode, masked, payload });
+        offset = position + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * One open WebSocket on either end of the connection.
+ * Events: message (text), close (code), error (error)
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket, { client = false, head = null } = {}) {
+        super();
+        this.socket = socket;
+        this.client = client; // clients mask outgoing frames and expect unmasked ones
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.fragmentOpcode = null;
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this.handleData(data));
+        socket.on('close', () => this.handleClose(1006));
+        socket.on('error', error => this.emit('error', error));
+
+        if (head && head.length > 0) {
+            this.handleData(head);
+        }
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let result;
+        try {
+            result = decodeFrames(this.buffer);
+        } catch (error) {
+            this.close(1009, error.message);
+            return;
+        }
+        this.buffer = Buffer.from(result.rest);
+
+        result.frames.forEach(frame => this.handleFrame(frame));
+    }
+
+    handleFrame(frame) {
+        if (this.closed) return;
+
+        // Clients always mask, servers never do
+        if (frame.masked === this.client) {
+            this.close(1002, 'Bad masking');
+            return;
+        }
+
+        switch (frame.opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                this.handleDataFrame(frame);
+                break;
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, frame.payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close: {
+                const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+                this.close(code === 1005 ? 1000 : code);
+                break;
+            }
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+
+    /**
+     * Collect message fragments until the final frame (the whole message is
+     * held to MAX_MESSAGE_SIZE, not just each frame)
+     */
+    handleDataFrame(frame) {
+        if (frame.opcode !== OPCODES.continuation) {
+            this.fragmentOpcode = frame.opcode;
+            this.fragments = [];
+            this.fragmentsSize = 0;
+        } else if (this.fragmentOpcode === null) {
+            this.close(1002, 'Unexpected continuation');
+            return;
+        }
+
+        this.fragmentsSize += frame.payload.length;
+        if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+            this.fragments = [];
+            this.close(1009, 'Message too large');
+            return;
+        }
+
+        this.fragments.push(frame.payload);
+        if (!frame.fin) return;
+
+        const opcode = this.fragmentOpcode;
+        const message = Buffer.concat(this.fragments);
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.fragmentOpcode = null;
+
+        if (opcode === OPCODES.text) {
+            this.emit('message', message.toString('utf8'));
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+
+        this.socket.write(encodeFrame(opcode, payload, this.client));
+    }
+
+    /**
+     * Send a text message
+     */
+    send(text) {
+        this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Start (or answer) the close handshake
+     */
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+
+        this.socket.end();
+        this.handleClose(code);
+    }
+
+    handleClose(code) {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.emit('close', code);
+    }
+}
+
+/**
+ * Accept an HTTP upgrade request on the server; returns the connection or
+ * null after rejecting the request
+ */
+export function acceptUpgrade(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    const isWebSocket = (request.headers.upgrade || '').toLowerCase() === 'websocket';
+
+    if (!isWebSocket || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket, { head });
+}
+
+/**
+ * WebSocket client with the browser API (open/message/close/error events,
+ * send, close, readyState) for headless clients under Node
+ */
+export class NodeWebSocket extends EventTarget {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = NodeWebSocket.CONNECTING;
+        this.connection = null;
+
+        const key = randomBytes(16).toString('base64');
+        const request = http.request(url.replace(/^ws/, 'http'), {
+            headers: {
+                'Connection': 'Upgrade',
+                'Upgrade': 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        request.on('upgrade', (response, socket, head) => {
+            if (response.headers['sec-websocket-accept'] !== getAcceptKey(key)) {
+                socket.destroy();
+                this.fail(new Error('Invalid handshake'));
+                return;
+            }
+
+            this.connection = new WebSocketConnection(socket, { client: true, head });
+            this.connection.on('message', data => this.dispatch('message', { data }));
+            this.connection.on('error', error => this.dispatch('error', { error }));
+            this.connection.on('close', code => {
+                this.readyState = NodeWebSocket.CLOSED;
+                this.dispatch('close', { code });
+            });
+
+            this.readyState = NodeWebSocket.OPEN;
+            this.dispatch('open');
+        });
+
+        request.on('response', () => this.fail(new Error('Server refused the WebSocket upgrade')));
+        request.on('error', error => this.fail(error));
+        request.end();
+    }
+
+    dispatch(type, fields = {}) {
+        this.dispatchEvent(Object.assign(new Event(type), fields));
+    }
+
+    fail(error) {
+        this.dispatch('error', { error });
+        this.readyState = NodeWebSocket.CLOSED;
+        this.dispatch('close', { code: 1006 });
+    }
+
+    send(text) {
+        if (this.readyState !== NodeWebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        this.connection.send(text);
+    }
+
+    close(code = 1000) {
+        if (this.connection && this.readyState === NodeWebSocket.OPEN) {
+            this.readyState = NodeWebSocket.CLOSING;
+            this.connection.close(code);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * Fumen import and export, checked against diagrams made with the
+ * tetris-fumen reference encoder
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeFumen, decodeFumen, encodeReplayFumen } from '../js/fumen.js';
+import { GameBoard, GARBAGE_COLOR } from '../js/board.js';
+import { PIECES, PIECE_TYPES, Piece } from '../js/pieces.js';
+import { TetrisEngine } from '../js/engine.js';
+
+const EMPTY = 'v115@vhAAgH';
+
+// Every piece in every rotation around (4, 5), none locking
+const ROTATIONS = 'v115@vhbR3mJXfhWfZSfTSfLXfjWf7RfVXfNXfFXfdXfXSf?vXfHXffXfUSfMXfEXf8WfWXfOXfGXfeXfSXfKXfCXfaXf';
+const ROTATION_CELLS = [
+    ['I', '3,5 4,5 5,5 6,5'], ['I', '4,3 4,4 4,5 4,6'], ['I', '2,5 3,5 4,5 5,5'], ['I', '4,4 4,5 4,6 4,7'],
+    ['O', '4,5 4,6 5,5 5,6'], ['O', '4,4 4,5 5,4 5,5'], ['O', '3,4 3,5 4,4 4,5'], ['O', '3,5 3,6 4,5 4,6'],
+    ['T', '3,5 4,5 4,6 5,5'], ['T', '4,4 4,5 4,6 5,5'], ['T', '3,5 4,4 4,5 5,5'], ['T', '3,5 4,4 4,5 4,6'],
+    ['S', '3,5 4,5 4,6 5,6'], ['S', '4,5 4,6 5,4 5,5'], ['S', '3,4 4,4 4,5 5,5'], ['S', '3,5 3,6 4,4 4,5'],
+    ['Z', '3,6 4,5 4,6 5,5'], ['Z', '4,4 4,5 5,5 5,6'], ['Z', '3,5 4,4 4,5 5,4'], ['Z', '3,4 3,5 4,5 4,6'],
+    ['J', '3,5 3,6 4,5 5,5'], ['J', '4,4 4,5 4,6 5,6'], ['J', '3,5 4,5 5,4 5,5'], ['J', '3,4 4,4 4,5 4,6'],
+    ['L', '3,5 4,5 5,5 5,6'], ['L', '4,4 4,5 4,6 5,4'], ['L', '3,4 3,5 4,5 5,5'], ['L', '3,6 4,4 4,5 4,6']
+];
+
+// A TSD opener: seven pieces with comments, the T-spin double clearing two
+// lines, then two more pieces
+const OPENER = 'v115@vhIRQYHAvItJEJmhCAUGJKJJvMJTNJGBJFKYMAUNKS?ASoDfESh0KBZkBTrQAA';
+
+// Garbage, a piece that does not lock, and a page without a piece
+const NO_LOCK = 'v115@RhH8BeH8LeTN2HA0LCUASIqBAvhBJoQGAPM98Aw9AA?AAAPAA';
+
+/**
+ * Rows of a grid from the highest non-empty one down, one letter per cell
+ * (piece type, X for garbage, _ for empty)
+ */
+function drawRows(grid) {
+    const rows = grid.map(row => row.map(color => {
+        if (color === null) return '_';
+        return PIECE_TYPES.find(type => PIECES[type].color === color) || (color === GARBAGE_COLOR ? 'X' : '?');
+    }).join(''));
+    const top = rows.findIndex(row => row !== '__________');
+    return top === -1 ? [] : rows.slice(top);
+}
+
+/**
+ * Piece cells as sorted "x,y" with y up from the floor, like tetris-fumen
+ */
+function drawCells(piece, height = 20) {
+    return piece.getOccupiedPositions().map(pos => `${pos.x},${height - 1 - pos.y}`).sort().join(' ');
+}
+
+test('an empty diagram decodes to one empty page and encodes back', () => {
+    const pages = decodeFumen(EMPTY);
+
+    assert.equal(pages.length, 1);
+    assert.deepEqual(drawRows(pages[0].grid), []);
+    assert.equal(pages[0].piece, null);
+    assert.equal(pages[0].comment, '');
+    assert.equal(encodeFumen(pages), EMPTY);
+    assert.equal(encodeFumen([{ grid: new GameBoard().getGrid(), piece: null }]), EMPTY);
+});
+
+test('every piece and rotation decodes to the right cells and encodes back', () => {
+    const pages = decodeFumen(ROTATIONS);
+
+    assert.equal(pages.length, ROTATION_CELLS.length);
+    pages.forEach((page, index) => {
+        const [type, cells] = ROTATION_CELLS[index];
+        assert.equal(page.piece.type, type);
+        assert.equal(page.piece.rotation, index % 4);
+        assert.equal(drawCells(page.piece), cells, `${type} in rotation ${index % 4}`);
+        assert.deepEqual(drawRows(page.grid), []);
+    });
+    assert.equal(encodeFumen(pages), ROTATIONS);
+});
+
+test('our pieces in every rotation survive a round trip', () => {
+    PIECE_TYPES.forEach(type => {
+        for (let rotation = 0; rotation < 4; rotation++) {
+            const piece = new Piece(type, 3, 12);
+            piece.rotate(rotation);
+
+            const [page] = decodeFumen(encodeFumen([{ grid: new GameBoard().getGrid(), piece }]));
+            assert.equal(page.piece.rotation, rotation);
+            assert.equal(drawCells(page.piece), drawCells(piece));
+        }
+    });
+});
+
+test('a multi-page diagram keeps its comments and clears lines between pages', () => {
+    const pages = decodeFumen(OPENER);
+
+    assert.deepEqual(pages.map(page => page.piece.type).join(''), 'IZLSOJTIO');
+    assert.deepEqual(pages.map(page => page.comment), [
+        'Opening', 'Opening', 'Opening', 'Opening', 'Opening', 'Opening', 'TSD ☆', 'TSD ☆', ''
+    ]);
+    assert.deepEqual(drawRows(pages[6].grid), [
+        '___JJJ____',
+        'L__ZZJS___',
+        'L___ZZSSOO',
+        'LL_IIIISOO'
+    ]);
+    // The T-spin double on page 7 cleared the bottom two rows
+    assert.deepEqual(drawRows(pages[7].grid), [
+        '___JJJ____',
+        'L__ZZJS___'
+    ]);
+    assert.deepEqual(drawRows(pages[8].grid), [
+        'I_________',
+        'I_________',
+        'I__JJJ____',
+        'I__ZZJS___'
+    ]);
+    assert.equal(encodeFumen(pages), OPENER);
+});
+
+test('pieces that do not lock leave the next page alone', () => {
+    const pages = decodeFumen(NO_LOCK);
+
+    assert.deepEqual(pages.map(page => page.lock), [false, true, true]);
+    assert.deepEqual(drawRows(pages[0].grid), ['XXXXXXXX__', 'XXXXXXXX__']);
+    assert.deepEqual(drawRows(pages[1].grid), drawRows(pages[0].grid));
+    assert.deepEqual(drawRows(pages[2].grid), [
+        '________I_',
+        '________I_',
+        'XXXXXXXXI_',
+        'XXXXXXXXI_'
+    ]);
+    assert.equal(pages[2].piece, null);
+    assert.deepEqual(pages.map(page => page.comment), ['Try O', 'or I', '']);
+    assert.equal(encodeFumen(pages), NO_LOCK);
+});
+
+test('fumen URLs and broken-up data are accepted', () => {
+    const url = `https://harddrop.com/fumen/?${OPENER.replace('?', '')}&view=1`;
+    const spaced = OPENER.replace('vhIRQY', 'vhIR\n QY');
+
+    assert.equal(encodeFumen(decodeFumen(url)), OPENER);
+    assert.equal(encodeFumen(decodeFumen(spaced)), OPENER);
+});
+
+test('invalid diagrams are rejected', () => {
+    assert.throws(() => decodeFumen('hello'), /Not a v115 fumen/);
+    assert.throws(() => decodeFumen('v115@vh!AgH'), /Invalid fumen character/);
+    assert.throws(() => decodeFumen('v115@vhA'), /Fumen data ends early/);
+});
+
+test('a recorded game exports a page for every piece placed', () => {
+    const engine = new TetrisEngine({ seed: 11 });
+    let locks = 0;
+    engine.on('lock', () => locks++);
+    engine.start();
+    for (let i = 0; i < 5; i++) {
+        for (let frame = 0; frame < 10; frame++) engine.advanceFrame();
+        engine.pressAction('hardDrop');
+        engine.releaseAction('hardDrop');
+    }
+
+    const pages = decodeFumen(encodeReplayFumen(new TetrisEngine(), engine.getRecordedReplay()));
+    assert.equal(pages.length, locks);
+
+    const last = pages[pages.length - 1];
+    const board = new GameBoard();
+    board.setGrid(last.grid);
+    board.placePiece(last.piece);
+    board.clearLines();
+    assert.deepEqual(board.grid, engine.board.grid);
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Gamepad input: buttons and stick directions become action presses
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput } from '../js/gamepad.js';
+
+// The browser globals GamepadInput touches; polling is driven by hand
+globalThis.window = new EventTarget();
+globalThis.requestAnimationFrame = () => 1;
+globalThis.cancelAnimationFrame = () => {};
+globalThis.localStorage = { getItem: () => null, setItem: () => {} };
+
+function createPad(index = 0) {
+    return {
+        index,
+        id: `Pad ${index}`,
+        connected: true,
+        buttons: Array(16).fill().map(() => ({ pressed: false, value: 0 })),
+        axes: [0, 0]
+    };
+}
+
+/**
+ * A GamepadInput reading the given pads, logging what it sends to the input
+ */
+function createGamepadInput(pads, options = {}) {
+    const log = [];
+    const input = {
+        pressAction: (action, source) => log.push(['press', action, source]),
+        releaseAction: (action, source) => log.push(['release', action, source])
+    };
+    const gamepad = new GamepadInput(input, { getGamepads: () => pads, ...options });
+    log.length = 0;
+    return { gamepad, log };
+}
+
+test('buttons press their action once and release it', () => {
+    const pad = createPad();
+    const { gamepad, log } = createGamepadInput([pad]);
+
+    pad.buttons[14].pressed = true; // D-pad left
+    gamepad.poll();
+    gamepad.poll();
+    assert.deepEqual(log, [['press', 'moveLeft', 'gamepad0:Button14']]);
+
+    pad.buttons[14].pressed = false;
+    gamepad.poll();
+    assert.deepEqual(log.at(-1), ['release', 'moveLeft', 'gamepad0:Button14']);
+    assert.equal(log.length, 2);
+});
+
+test('analog triggers count as pressed past half way', () => {
+    const pad = createPad();
+    const { gamepad, log } = createGamepadInput([pad]);
+
+    pad.buttons[1].value = 0.4;
+    gamepad.poll();
+    assert.deepEqual(log, []);
+
+    pad.buttons[1].value = 0.6;
+    gamepad.poll();
+    assert.deepEqual(log, [['press', 'rotateCW', 'gamepad0:Button1']]);
+});
+
+test('the stick only registers a direction past the deadzone', () => {
+    const pad = createPad();
+    const { gamepad, log } = createGamepadInput([pad], { deadzone: 0.5 });
+
+    pad.axes = [-0.4, 0.45];
+    gamepad.poll();
+    assert.deepEqual(log, []);
+
+    pad.axes = [-0.6, 0.45];
+    gamepad.poll();
+    assert.deepEqual(log, [['press', 'moveLeft', 'gamepad0:StickLeft']]);
+
+    gamepad.deadzone = 0.3;
+    gamepad.poll();
+    assert.deepEqual(log.at(-1), ['press', 'softDrop', 'gamepad0:StickDown']);
+
+    pad.axes = [0, 0];
+    gamepad.poll();
+    assert.deepEqual(log.slice(-2).map(entry => entry[0]), ['release', 'release']);
+});
+
+test('only the chosen gamepad is read when an index is given', () => {
+    const pads = [createPad(0), createPad(1)];
+    const { gamepad, log } = createGamepadInput(pads, { index: 1 });
+
+    pads[0].buttons[12].pressed = true;
+    pads[1].buttons[2].pressed = true;
+    gamepad.poll();
+    assert.deepEqual(log, [['press', 'hold', 'gamepad1:Button2']]);
+});
+
+test('a captured control goes to the capture and presses nothing', () => {
+    const pad = createPad();
+    const { gamepad, log } = createGamepadInput([pad]);
+    const captured = [];
+    const stop = gamepad.captureControl(control => captured.push(control));
+
+    pad.buttons[3].pressed = true;
+    gamepad.poll();
+    stop();
+    gamepad.poll();
+    pad.buttons[3].pressed = false;
+    gamepad.poll();
+
+    assert.deepEqual(captured, ['Button3']);
+    assert.deepEqual(log, []);
+});
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Shared helpers for the tests
+ */
+
+import { GameBoard, GARBAGE_COLOR } from '../js/board.js';
+
+/**
+ * A starting position whose bottom rows are given as strings (X for a
+ * garbage block, anything else empty), with a T to play
+ */
+export function createPosition(rows, queue = ['T']) {
+    const board = new GameBoard();
+    rows.forEach((row, index) => {
+        board.grid[board.height - rows.length + index] = row.split('').map(cell => (cell === 'X' ? GARBAGE_COLOR : null));
+    });
+    return { grid: board.getGrid(), queue, hold: null };
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * Leaderboard export and import
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLeaderboard, LEADERBOARD_VERSION } from '../js/leaderboard.js';
+
+function exportBoards(boards) {
+    return JSON.stringify({ version: LEADERBOARD_VERSION, boards });
+}
+
+test('tables of known modes are imported', () => {
+    const data = parseLeaderboard(exportBoards({ 'sprint:40': [], 'marathon': [] }));
+
+    assert.deepEqual(Object.keys(data.boards), ['sprint:40', 'marathon']);
+});
+
+test('tables of unknown modes are rejected, prototype keys included', () => {
+    ['tetris99', 'constructor', 'toString:40', '__proto__'].forEach(modeSetting => {
+        const text = `{"version":${LEADERBOARD_VERSION},"boards":{"${modeSetting}":[]}}`;
+        assert.throws(() => parseLeaderboard(text), /unknown game mode/, modeSetting);
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * Game mode lookup and modes set up on custom starting positions
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TetrisEngine } from '../js/engine.js';
+import { createMode, parseModeSetting } from '../js/modes.js';
+import { createPosition } from './helpers.mjs';
+
+test('dig garbage rises under a custom starting board', () => {
+    const position = createPosition(['XXXXXXXXX_']);
+    const engine = new TetrisEngine({ seed: 99, mode: 'dig', startPosition: position });
+
+    assert.equal(engine.board.getGarbageRowCount(), 10);
+    assert.equal(engine.mode.garbageAdded, 10);
+    assert.deepEqual(engine.board.grid[10], position.grid[19], 'the new rows push the custom board up');
+    assert.equal(engine.currentPiece.type, 'T');
+});
+
+test('dig on an empty custom board still has its garbage to clear', () => {
+    const engine = new TetrisEngine({ seed: 99, mode: 'digSurvival', startPosition: createPosition([]) });
+
+    assert.equal(engine.board.getGarbageRowCount(), engine.mode.garbageAdded);
+    assert.ok(engine.mode.garbageAdded > 0);
+});
+
+
+test('prototype keys are not game modes', () => {
+    assert.throws(() => createMode('constructor'), /Unknown game mode/);
+    assert.deepEqual(parseModeSetting('toString:5'), { type: 'marathon', goal: null });
+});
\ No newline at end of file
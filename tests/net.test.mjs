@@ -0,0 +1,67 @@
+/**
+ * Online versus: messages from the opponent are checked before they reach
+ * the game
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TetrisEngine } from '../js/engine.js';
+import { NetClient, OnlineSession, createBoardSnapshot } from '../js/net.js';
+
+/**
+ * A session playing on a client that is never connected; server messages
+ * are fed to it by hand
+ */
+function startSession() {
+    const client = new NetClient('ws://localhost:0');
+    const session = new OnlineSession(new TetrisEngine({ mode: 'versus' }), client);
+    const receive = message => client.handleMessage(JSON.stringify(message));
+    receive({ type: 'start', seed: 5 });
+    return { session, receive };
+}
+
+test('attacks must be a positive whole number of lines, at most a board high', () => {
+    const { session, receive } = startSession();
+
+    [-3, 0, 1.5, '4', null, Infinity].forEach(lines => receive({ type: 'attack', lines }));
+    assert.equal(session.incoming.total(), 0);
+
+    receive({ type: 'attack', lines: 3 });
+    receive({ type: 'attack', lines: 1e9 });
+    assert.deepEqual(session.incoming.batches, [3, session.engine.board.height]);
+});
+
+test('malformed opponent boards are dropped', () => {
+    const { session, receive } = startSession();
+    const board = createBoardSnapshot(new TetrisEngine({ seed: 1 }), 2);
+    const shown = [];
+    session.on('opponentBoard', snapshot => shown.push(snapshot));
+
+    [
+        null,
+        { ...board, grid: board.grid.slice(1) },
+        { ...board, grid: board.grid.map(row => row.slice(1)) },
+        { ...board, grid: 'XXXX' },
+        { ...board, next: ['T', 'Q'] },
+        { ...board, next: 'TIO' },
+        { ...board, hold: 'constructor' },
+        { ...board, score: '100' }
+    ].forEach(bad => receive({ type: 'board', board: bad }));
+    receive({ type: 'board', board });
+
+    assert.deepEqual(shown, [board]);
+    assert.deepEqual(session.opponentBoard, board);
+});
+
+test('server messages that are not objects are ignored', () => {
+    const client = new NetClient('ws://localhost:0');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        ['null', '3', '"attack"', '{'].forEach(text => assert.doesNotThrow(() => client.handleMessage(text)));
+    } finally {
+        console.warn = warn;
+    }
+});
\ No newline at end of file
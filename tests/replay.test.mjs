@@ -0,0 +1,102 @@
+/**
+ * Replays: recording, playback and seeking
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TetrisEngine } from '../js/engine.js';
+import { parseReplay, serializeReplay, REPLAY_VERSION } from '../js/replay.js';
+import { createRandomizer } from '../js/pieces.js';
+
+/**
+ * Play a few pieces, each hard dropped on the last frame so far
+ */
+function recordGame() {
+    const engine = new TetrisEngine({ seed: 3 });
+    engine.start();
+    for (let i = 0; i < 5; i++) {
+        for (let frame = 0; frame < 10; frame++) engine.advanceFrame();
+        engine.pressAction(i % 2 ? 'moveLeft' : 'rotateCW');
+        engine.releaseAction(i % 2 ? 'moveLeft' : 'rotateCW');
+        engine.pressAction('hardDrop');
+        engine.releaseAction('hardDrop');
+    }
+    return engine;
+}
+
+test('seeking to the end of a replay applies the inputs of its last frame', () => {
+    const engine = recordGame();
+    const replay = engine.getRecordedReplay();
+    const player = new TetrisEngine();
+
+    player.startReplay(replay);
+    player.seekReplay(replay.frames);
+
+    assert.equal(player.frame, replay.frames);
+    assert.deepEqual(player.board.grid, engine.board.grid);
+    assert.equal(player.score, engine.score);
+});
+
+test('seeking back and forth ends on the same board', () => {
+    const engine = recordGame();
+    const replay = engine.getRecordedReplay();
+    const player = new TetrisEngine();
+
+    player.startReplay(replay);
+    player.seekReplay(replay.frames);
+    player.seekReplay(20);
+    player.seekReplay(replay.frames);
+
+    assert.deepEqual(player.board.grid, engine.board.grid);
+});
+
+test('replays from before lock delay policies still load', () => {
+    const replay = recordGame().getRecordedReplay();
+    const v1 = { ...replay, version: 1 };
+    delete v1.lockReset;
+
+    const parsed = parseReplay(JSON.stringify(v1));
+    assert.equal(parsed.version, REPLAY_VERSION);
+    assert.equal(parsed.lockReset, 'move');
+});
+
+test('replays with an unknown lock delay policy are rejected', () => {
+    const replay = { ...recordGame().getRecordedReplay(), lockReset: 'forever' };
+
+    assert.throws(() => parseReplay(serializeReplay(replay)), /unknown lock delay policy/);
+});
+
+test('replays from before scoring rules are scored with the guideline rules', () => {
+    const v2 = { ...recordGame().getRecordedReplay(), version: 2 };
+    delete v2.scoring;
+
+    const parsed = parseReplay(JSON.stringify(v2));
+    assert.equal(parsed.version, REPLAY_VERSION);
+    assert.equal(parsed.scoring, 'guideline');
+});
+
+test('replays without known scoring rules are rejected', () => {
+    const replay = recordGame().getRecordedReplay();
+    const missing = { ...replay };
+    delete missing.scoring;
+
+    assert.throws(() => parseReplay(serializeReplay(missing)), /unknown scoring rules/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, scoring: 'arcade' })), /unknown scoring rules/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, scoring: 'constructor' })), /unknown scoring rules/);
+});
+
+test('replays with a prototype key for a game mode are rejected', () => {
+    const replay = recordGame().getRecordedReplay();
+
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, mode: 'constructor' })), /unknown game mode/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, mode: 'toString' })), /unknown game mode/);
+});
+
+test('replays with a prototype key for a randomizer are rejected', () => {
+    const replay = { ...recordGame().getRecordedReplay(), randomizer: 'constructor' };
+
+    assert.throws(() => parseReplay(serializeReplay(replay)), /invalid seed or randomizer/);
+    assert.throws(() => createRandomizer('toString', 1), /Unknown randomizer type/);
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Saved games: an engine restored from getState() carries on exactly like
+ * the game it was saved from
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TetrisEngine } from '../js/engine.js';
+import { parseSavedGame, SAVE_VERSION } from '../js/savegame.js';
+
+function tap(engine, action) {
+    engine.pressAction(action);
+    engine.tick(20);
+    engine.releaseAction(action);
+    engine.tick(20);
+}
+
+function placePieces(engine, count) {
+    for (let i = 0; i < count && !engine.isGameOver; i++) {
+        if (i % 2) tap(engine, 'rotateCW');
+        tap(engine, i % 3 ? 'moveLeft' : 'moveRight');
+        tap(engine, 'hardDrop');
+    }
+}
+
+function snapshot(engine) {
+    const piece = engine.currentPiece;
+    return {
+        grid: engine.board.grid,
+        piece: piece && [piece.type, piece.x, piece.y, piece.rotation],
+        queue: engine.nextQueue.map(next => next.type),
+        score: engine.score,
+        frame: engine.frame,
+        result: engine.isGameOver ? engine.getResult() : null
+    };
+}
+
+/**
+ * Save a game part way, restore it on a new engine and check both go on
+ * the same way
+ */
+function checkRoundTrip(options) {
+    const engine = new TetrisEngine({ seed: 1234, ...options });
+    engine.start();
+    placePieces(engine, 5);
+    engine.togglePause(); // games are saved paused, and come back paused
+
+    const text = JSON.stringify({ version: SAVE_VERSION, engine: engine.getState() });
+    const restored = new TetrisEngine();
+    restored.restoreState(parseSavedGame(text).engine);
+    assert.deepEqual(snapshot(restored), snapshot(engine));
+
+    [engine, restored].forEach(game => {
+        game.togglePause();
+        placePieces(game, 10);
+    });
+    assert.deepEqual(snapshot(restored), snapshot(engine));
+    return restored;
+}
+
+test('a marathon game resumes where it was saved', () => {
+    checkRoundTrip({ mode: 'marathon' });
+});
+
+test('a finesse trainer game resumes with the same targets', () => {
+    const restored = checkRoundTrip({ mode: 'finesse' });
+    assert.ok(restored.mode.target, 'the restored game has a target');
+});
+
+
+test('saves with prototype keys or a misshapen board are rejected', () => {
+    const engine = new TetrisEngine({ seed: 1234 });
+    engine.start();
+    const state = engine.getState();
+    const save = changes => JSON.stringify({ version: SAVE_VERSION, engine: { ...state, ...changes } });
+
+    assert.doesNotThrow(() => parseSavedGame(save({})));
+    assert.throws(() => parseSavedGame(save({ randomizer: 'constructor' })), /unknown randomizer/);
+    assert.throws(() => parseSavedGame(save({ mode: 'toString' })), /unknown randomizer/);
+    assert.throws(() => parseSavedGame(save({ scoring: '__proto__' })), /unknown randomizer/);
+    assert.throws(() => parseSavedGame(save({ grid: state.grid.slice(1) })), /invalid board/);
+    assert.throws(() => parseSavedGame(save({ grid: state.grid.map(row => row.slice(1)) })), /invalid board/);
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Settings saved in localStorage are checked when they are loaded
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Settings, DEFAULT_SETTINGS } from '../js/settings.js';
+
+const stored = new Map();
+globalThis.localStorage = {
+    getItem: key => (stored.has(key) ? stored.get(key) : null),
+    setItem: (key, value) => stored.set(key, String(value))
+};
+
+function loadSaved(values) {
+    stored.set('tetris.settings', JSON.stringify(values));
+    return new Settings();
+}
+
+test('saved settings of the right type are loaded', () => {
+    const settings = loadSaved({ das: 100, lockReset: 'classic', previewCount: 3 });
+
+    assert.equal(settings.get('das'), 100);
+    assert.equal(settings.get('lockReset'), 'classic');
+    assert.equal(settings.get('previewCount'), 3);
+});
+
+test('an unknown lock delay policy falls back to the default', () => {
+    const settings = loadSaved({ das: 100, lockReset: 'forever' });
+
+    assert.equal(settings.get('das'), 100);
+    assert.equal(settings.get('lockReset'), DEFAULT_SETTINGS.lockReset);
+});
+
+test('unknown scoring rules and game modes fall back to the defaults', () => {
+    const settings = loadSaved({ scoring: 'arcade', mode: 'constructor:5' });
+
+    assert.equal(settings.get('scoring'), DEFAULT_SETTINGS.scoring);
+    assert.equal(settings.get('mode'), DEFAULT_SETTINGS.mode);
+    assert.equal(loadSaved({ scoring: 'toString' }).get('scoring'), DEFAULT_SETTINGS.scoring);
+    assert.equal(loadSaved({ scoring: 'nes', mode: 'sprint:20' }).get('mode'), 'sprint:20');
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * SRS kicks and T-spin detection on the standard setups
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TetrisEngine } from '../js/engine.js';
+import { createPosition } from './helpers.mjs';
+
+/**
+ * Start a game on a board whose bottom rows are given as strings (see
+ * createPosition), with a T to play
+ */
+function startWithT(rows) {
+    const engine = new TetrisEngine({ seed: 1, startPosition: createPosition(rows) });
+    engine.start();
+    assert.equal(engine.currentPiece.type, 'T');
+    return engine;
+}
+
+function softDropToBottom(engine) {
+    while (engine.softDrop()) {
+        // keep dropping
+    }
+}
+
+/**
+ * Hard drop the piece and return the clear it made (null for none)
+ */
+function lock(engine) {
+    let clear = null;
+    const off = engine.on('clear', event => {
+        clear = event;
+    });
+    engine.hardDrop();
+    off();
+    return clear;
+}
+
+test('a T-spin double into an overhang slot', () => {
+    const engine = startWithT([
+        '___XXXXXXX',
+        'X___XXXXXX',
+        'XX_XXXXXXX'
+    ]);
+
+    engine.moveCurrentPiece(-1, 0);
+    engine.moveCurrentPiece(-1, 0);
+    engine.rotatePiece(-1);
+    softDropToBottom(engine);
+    engine.rotatePiece(-1);
+    assert.equal(engine.currentPiece.rotation, 2);
+
+    const clear = lock(engine);
+    assert.equal(clear.tSpin, 'full');
+    assert.equal(clear.linesCleared, 2);
+    assert.deepEqual(engine.board.grid[19].map(cell => (cell ? 'X' : '_')).join(''), '___XXXXXXX');
+});
+
+test('a T-spin triple through the fifth kick test (last offset)', () => {
+    const engine = startWithT([
+        'X_________',
+        '__________',
+        '_XXXXXXXXX',
+        '__XXXXXXXX',
+        '_XXXXXXXXX'
+    ]);
+
+    engine.moveCurrentPiece(-1, 0);
+    engine.moveCurrentPiece(-1, 0);
+    softDropToBottom(engine);
+    engine.moveCurrentPiece(-1, 0);
+    const { y } = engine.currentPiece;
+    engine.rotatePiece(1);
+
+    // 0->R kick (-1, -2) in SRS terms: one left, two rows down
+    assert.equal(engine.lastAction.kickIndex, 4);
+    assert.equal(engine.currentPiece.y, y + 2);
+
+    const clear = lock(engine);
+    assert.equal(clear.tSpin, 'full');
+    assert.equal(clear.linesCleared, 3);
+    assert.equal(engine.board.grid.flat().filter(Boolean).length, 1, 'only the overhang is left');
+});
+
+test('the corners in front of the T tell a mini from a full T-spin', () => {
+    const rows = [
+        'X_________',
+        '__________',
+        'X_XXXXXXXX'
+    ];
+    const play = direction => {
+        const engine = startWithT(rows);
+        engine.moveCurrentPiece(-1, 0);
+        engine.moveCurrentPiece(-1, 0);
+        softDropToBottom(engine);
+        engine.moveCurrentPiece(-1, 0);
+        engine.rotatePiece(direction);
+        return lock(engine);
+    };
+
+    // Pointing right, one of the corners in front is open: mini
+    const mini = play(1);
+    assert.equal(mini.tSpin, 'mini');
+    assert.equal(mini.linesCleared, 1);
+
+    // Pointing left into the wall, both corners in front are blocked: full
+    const full = play(-1);
+    assert.equal(full.tSpin, 'full');
+    assert.equal(full.linesCleared, 1);
+});
+
+test('a T dropped without rotating is no T-spin', () => {
+    const engine = startWithT([
+        'X_________',
+        '__________',
+        'X_XXXXXXXX'
+    ]);
+
+    engine.rotatePiece(-1);
+    engine.moveCurrentPiece(-1, 0);
+    engine.moveCurrentPiece(-1, 0);
+    engine.moveCurrentPiece(-1, 0);
+    const clear = lock(engine);
+
+    assert.equal(clear === null ? null : clear.tSpin, null);
+});
\ No newline at end of file
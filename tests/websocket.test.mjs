@@ -0,0 +1,62 @@
+/**
+ * WebSocket framing on the server end
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { WebSocketConnection, encodeFrame, OPCODES } from '../server/websocket.mjs';
+
+/**
+ * A server connection on a fake socket that records the frames written to it
+ */
+function createConnection() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.destroyed = false;
+    socket.setNoDelay = () => {};
+    socket.write = data => socket.written.push(data);
+    socket.end = () => {
+        socket.destroyed = true;
+    };
+    return { connection: new WebSocketConnection(socket), socket };
+}
+
+/**
+ * A masked client frame, final or not
+ */
+function clientFrame(opcode, payload, fin = true) {
+    const frame = encodeFrame(opcode, payload, true);
+    if (!fin) frame[0] &= 0x7f;
+    return frame;
+}
+
+test('fragmented messages are put back together', () => {
+    const { connection, socket } = createConnection();
+    const messages = [];
+    connection.on('message', text => messages.push(text));
+
+    socket.emit('data', clientFrame(OPCODES.text, Buffer.from('{"type":'), false));
+    socket.emit('data', clientFrame(OPCODES.continuation, Buffer.from('"ready"}')));
+
+    assert.deepEqual(messages, ['{"type":"ready"}']);
+});
+
+test('a message too large in total is refused even in small fragments', () => {
+    const { connection, socket } = createConnection();
+    let closeCode = null;
+    connection.on('close', code => {
+        closeCode = code;
+    });
+
+    const chunk = Buffer.alloc(64 * 1024, 'a');
+    socket.emit('data', clientFrame(OPCODES.text, chunk, false));
+    for (let i = 0; i < 16 && !connection.closed; i++) {
+        socket.emit('data', clientFrame(OPCODES.continuation, chunk, false));
+    }
+
+    assert.equal(closeCode, 1009);
+    assert.deepEqual(connection.fragments, []);
+});
\ No newline at end of file